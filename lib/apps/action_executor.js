@@ -10,6 +10,12 @@
 const Q = require('q');
 
 const ChannelOpener = require('./channel_opener');
+const ExecWrapper = require('./exec_wrapper');
+
+// by default, try each action 3 times, waiting 1s and then 2s
+// between attempts
+const DEFAULT_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY = 1000;
 
 module.exports = class ActionExecutor {
     constructor(engine, app, parent, output) {
@@ -49,27 +55,99 @@ module.exports = class ActionExecutor {
         }
     }
 
-    execute(env) {
-        // keep our parent alive for the duration of the call
+    _sendWithRetry(channel, value, env, execution, action) {
+        // apps can override the retry policy with { attempts: ..., delay: ... }
+        // in their state
+        var retry = this.app.state.$retry || {};
+        var attempts = typeof retry.attempts === 'number' && retry.attempts >= 1 ? retry.attempts : DEFAULT_ATTEMPTS;
+        var delay = typeof retry.delay === 'number' && retry.delay >= 0 ? retry.delay : DEFAULT_RETRY_DELAY;
+
+        var loop = (attempt, delay) => {
+            execution.setActionSending(action, true);
+            return Q.try(function() {
+                return channel.sendEvent(value, env);
+            }).finally(() => {
+                execution.setActionSending(action, false);
+            }).catch((e) => {
+                // channels mark the errors that would happen again
+                if (attempt >= attempts || e.retryable === false)
+                    throw e;
+
+                console.log('Failed to execute action on ' + channel.uniqueId + ', retrying in ' + delay + ' ms: ' + e.message);
+                return Q.delay(delay).then(() => loop(attempt+1, delay*2));
+            });
+        };
+        return loop(1, delay);
+    }
+
+    execute(env, execution) {
+        // keep our parent alive for the duration of the call,
+        // including any retry
         return this._parent.open().then(() => {
             var value = this.output.produce(env);
 
-            if (this.selector) {
+            if (execution.isSimulated) {
+                if (this.selector) {
+                    this.selector.values().forEach((channel) => {
+                        execution.addAction(channel.uniqueId, value);
+                    });
+                } else {
+                    execution.addAction(this._outputKeyword.uniqueId, value);
+                }
+            } else if (this.selector) {
                 var channels = this.selector.values();
-                channels.forEach((channel) => {
-                    Q.try(function() {
-                        return channel.sendEvent(value, env);
-                    }).catch((e) => {
+                return Q.all(channels.map((channel) => {
+                    var action = execution.addAction(channel.uniqueId, value);
+                    execution.beginAction(action);
+                    this.app.recordUsage('actions');
+                    return this._sendWithRetry(channel, value, env, execution, action).then(() => {
+                        this.engine.apps.recordAction(this.app, channel.uniqueId, value);
+                    }, (e) => {
                         console.error('Failed to execute action: ' + e.message);
                         console.error(e.stack);
-                        this.app.reportError(e);
-                    }).done();
-                });
+                        action.error = e.message;
+                        execution.addError(e);
+                        this.app.reportError(e, 'action', channel.uniqueId);
+                        return this.engine.apps.addDeadLetter(this.app, channel.uniqueId, value, e);
+                    }).finally(() => {
+                        execution.endAction(action);
+                    });
+                }));
             } else {
+                execution.addAction(this._outputKeyword.uniqueId, value);
+                this.app.recordUsage('keywordWrites');
                 this._outputKeyword.changeValue(value);
             }
         }).finally(() => {
             return this._parent.close();
         });
     }
+
+    // the uniqueIds of the channels this action currently sends to
+    getTargets() {
+        if (this.selector === null)
+            return [];
+        return this.selector.values().map((ch) => ch.uniqueId);
+    }
+
+    hasChannel(channelId) {
+        return this.selector !== null &&
+            this.selector.values().some((ch) => ch.uniqueId === channelId);
+    }
+
+    // send a value that failed before to one of our channels
+    replay(channelId, value) {
+        return this._parent.open().then(() => {
+            var channel = this.selector.values().find((ch) => ch.uniqueId === channelId);
+            if (channel === undefined)
+                throw new Error('Channel ' + channelId + ' is not open');
+
+            // the trigger and query values that produced this action are
+            // gone, so the channel gets an empty environment
+            var env = new ExecWrapper(this.engine, this.app, []);
+            return channel.sendEvent(value, env);
+        }).finally(() => {
+            return this._parent.close();
+        });
+    }
 }
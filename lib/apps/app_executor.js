@@ -17,6 +17,19 @@ const AppCompiler = ThingTalk.Compiler;
 const ComputeModule = require('./compute_module');
 const RuleExecutor = require('./rule_executor');
 const CommandExecutor = require('./command_executor');
+const Timezone = require('../util/timezone');
+const Solar = require('../util/solar');
+
+// how many errors we remember for each app
+const ERROR_HISTORY_SIZE = 20;
+// after this many errors in a row the app is failing rather than degraded
+const FAILING_THRESHOLD = 3;
+// after this many errors in a row the app is suspended
+const SUSPEND_THRESHOLD = 10;
+// how long after an error the app is still considered degraded
+const DEGRADED_INTERVAL = 3600 * 1000;
+// what we count for each app; runtime is in ms
+const USAGE_COUNTERS = ['triggers', 'queries', 'actions', 'runtime', 'keywordWrites'];
 
 const AppNotifyChannel = new Tp.ChannelClass({
     Name: 'AppNotifyChannel',
@@ -40,7 +53,7 @@ const AppNotifyChannel = new Tp.ChannelClass({
             }
         } catch(e) {
             console.error('Failed to format event: ' + e.message);
-            this._app.reportError(e);
+            this._app.reportError(e, 'action', this.uniqueId);
         }
 
         var icon;
@@ -49,7 +62,7 @@ const AppNotifyChannel = new Tp.ChannelClass({
         if (!icon)
             icon = this._app.icon;
 
-        this.engine.platform.getCapability('assistant').notify([this._app.uniqueId, icon, formatted]);
+        this.engine.apps.notify([this._app.uniqueId, icon, formatted]);
 
         if (this.removeOnSend) {
             setImmediate(() => {
@@ -110,16 +123,30 @@ module.exports = class AppExecutor extends events.EventEmitter {
         // set automatically by the engine
         this.isRunning = false;
         this.isEnabled = false;
+        this.isSimulated = false;
+        // set when the app fails too many times in a row
+        this.isSuspended = false;
+        // the tier where the app runs
+        this.tier = engine.ownTier;
+
+        this._errors = [];
+        this._consecutiveErrors = 0;
+
+        // how many channels the app holds open right now
+        this._openChannels = 0;
+
+        // what the app would have done, if it is simulated
+        this._simulationReport = [];
 
         var compiler = new AppCompiler();
         compiler.setSchemaRetriever(engine.schemas);
         this.compiler = compiler;
 
+        this._error = null;
         try {
             this._ast = AppGrammar.parse(code);
-            this._error = null;
         } catch(e) {
-            this._error = e;
+            this._recordError(e, 'compile', null);
         }
 
         this.icon = state.$icon || null;
@@ -128,15 +155,18 @@ module.exports = class AppExecutor extends events.EventEmitter {
     }
 
     get ownerTier() {
-        // apps are not synchronized
-        return this.engine.ownTier;
+        // the tier that runs the app, chosen by the AppDatabase
+        return this.tier;
     }
 
     updateNameDescription(name, description) {
         if (name)
             this.name = name;
-        else
+        else if (this._ast)
             this.name = this._ast.name.name;
+        else
+            // the code did not parse, and compile() reports why
+            this.name = null;
         if (description)
             this.description = description;
         else if (this.state.description)
@@ -152,14 +182,284 @@ module.exports = class AppExecutor extends events.EventEmitter {
             return this._error.message;
     }
 
-    reportError(error) {
+    get errors() {
+        return this._errors.slice();
+    }
+
+    get health() {
+        if (this.isSuspended)
+            return 'suspended';
+        if (this._consecutiveErrors >= FAILING_THRESHOLD)
+            return 'failing';
+        if (this._consecutiveErrors > 0)
+            return 'degraded';
+
+        var last = this._errors[this._errors.length-1];
+        if (last !== undefined && Date.now() - last.timestamp < DEGRADED_INTERVAL)
+            return 'degraded';
+        return 'healthy';
+    }
+
+    _recordError(error, phase, channel) {
         this._error = error;
 
+        this._errors.push({ timestamp: Date.now(),
+                            phase: phase || null,
+                            channel: channel || null,
+                            message: error.message });
+        if (this._errors.length > ERROR_HISTORY_SIZE)
+            this._errors.shift();
+    }
+
+    _notifyError(error) {
         var platform = this.engine.platform;
         if (platform.hasCapability('assistant'))
             return platform.getCapability('assistant').notifyError([this.uniqueId, this.icon, error]);
     }
 
+    // phase is one of 'compile', 'open', 'trigger', 'query' or 'action',
+    // channel is the uniqueId of the channel involved, if any
+    reportError(error, phase, channel) {
+        this._recordError(error, phase, channel);
+        this._consecutiveErrors++;
+        this.emit('error-reported', error);
+
+        // a suspended app was already reported, don't flood the user
+        if (this.isSuspended)
+            return;
+
+        if (this._consecutiveErrors >= SUSPEND_THRESHOLD) {
+            console.log('App ' + this.uniqueId + ' failed ' + this._consecutiveErrors + ' times in a row, suspending');
+            return this._suspend(new Error(this.engine._("The app failed too many times in a row and was suspended. The last error was: %s").format(error.message)));
+        }
+
+        return this._notifyError(error);
+    }
+
+    _suspend(error) {
+        this.isSuspended = true;
+        this.emit('suspended');
+        return this._notifyError(error);
+    }
+
+    reportSuccess() {
+        this._consecutiveErrors = 0;
+    }
+
+    resume() {
+        if (!this.isSuspended)
+            return;
+
+        this.isSuspended = false;
+        this._consecutiveErrors = 0;
+        this.emit('resumed');
+    }
+
+    _getUsageKey(counter) {
+        return 'app-usage-' + this.uniqueId + '-' + counter;
+    }
+
+    _getToday() {
+        var now = Timezone.getLocalTime(new Date, this.engine.platform.timezone);
+        return now.year + '-' + now.month + '-' + now.day;
+    }
+
+    // usage since the start of the day, for the quota
+    _getDailyUsage() {
+        var today = this._getToday();
+        var daily = this.engine.stats.get('app-quota-' + this.uniqueId);
+        if (!daily || daily.day !== today)
+            daily = { day: today, usage: {} };
+        return daily;
+    }
+
+    // counter is one of USAGE_COUNTERS
+    recordUsage(counter, amount) {
+        if (this.isSimulated)
+            return;
+        if (amount === undefined)
+            amount = 1;
+        this.engine.stats.add(this._getUsageKey(counter), amount);
+
+        var daily = this._getDailyUsage();
+        daily.usage[counter] = (daily.usage[counter] || 0) + amount;
+        this.engine.stats.set('app-quota-' + this.uniqueId, daily);
+
+        // apps can have a daily quota, as { triggers: ..., actions: ..., ... }
+        // in their state, and they are suspended when they go over it
+        var quota = this.state.$quota;
+        if (!quota || typeof quota[counter] !== 'number' || this.isSuspended)
+            return;
+        if (daily.usage[counter] > quota[counter]) {
+            console.log('App ' + this.uniqueId + ' went over its daily quota of ' + counter + ', suspending');
+            this.engine.stats.hit('app-over-quota');
+            this._suspend(new Error(this.engine._("The app used more resources than allowed today and was suspended.")));
+        }
+    }
+
+    channelOpened() {
+        this._openChannels++;
+    }
+
+    channelClosed() {
+        this._openChannels--;
+    }
+
+    get usage() {
+        var usage = {};
+        USAGE_COUNTERS.forEach((counter) => {
+            usage[counter] = this.engine.stats.get(this._getUsageKey(counter)) || 0;
+        });
+        usage.openChannels = this._openChannels;
+        usage.today = this._getDailyUsage().usage;
+        return usage;
+    }
+
+    get simulationReport() {
+        return this._simulationReport;
+    }
+
+    addSimulationResult(execution) {
+        this._simulationReport.push(execution.toJSON());
+    }
+
+    // feed a trigger value by hand to the rule at the given index,
+    // and return the report of what happened
+    injectTrigger(ruleIndex, value) {
+        if (!this.isSimulated)
+            return Q.reject(new Error('Triggers can only be injected in simulated apps'));
+        var rule = this.rules[ruleIndex];
+        if (rule === undefined)
+            return Q.reject(new Error('Invalid rule ' + ruleIndex));
+
+        return rule.injectTrigger(value).then((result) => {
+            return result.executions.map((e) => e.toJSON());
+        });
+    }
+
+    // fire the rule at the given index now, as if its trigger had
+    // fired, with the given value or else the last event of the trigger,
+    // and return the report of what happened, as { matched, executions }
+    // where matched is false if the value did not pass the filter of the
+    // rule, and nothing ran
+    //
+    // queries run as usual, but with dryRun the actions are only recorded
+    // in the report, and the run does not count in the usage and the
+    // health of the app
+    runRule(ruleIndex, value, dryRun) {
+        var rule = this.rules[ruleIndex];
+        if (rule === undefined)
+            return Q.reject(new Error('Invalid rule ' + ruleIndex));
+
+        if (value === undefined || value === null) {
+            value = rule.input.getLastEvent();
+            if (value === null && rule.input.hasTrigger)
+                return Q.reject(new Error('The trigger of rule ' + ruleIndex + ' has no event yet, a trigger value is needed'));
+        }
+
+        return rule.injectTrigger(value, !!dryRun).then((result) => {
+            return { matched: result.matched, executions: result.executions.map((e) => e.toJSON()) };
+        });
+    }
+
+    // the devices the app needs, as named by the selectors in its rules
+    // and commands, as { lookup, name }: a lookup of 'globalName' means
+    // the devices with that global name (such as 'phone'), one of 'kind'
+    // the devices of that kind
+    getRequiredDevices() {
+        var devices = new Map;
+        var add = (lookup, name) => {
+            devices.set(lookup + ':' + name, { lookup: lookup, name: name });
+        };
+
+        var addSelector = (selector) => {
+            if (selector.isGlobalName) {
+                if (selector.name !== 'builtin' && !this.compiler.modules[selector.name])
+                    add('globalName', selector.name);
+            } else if (selector.isAttributes) {
+                selector.attributes.forEach((a) => {
+                    if (a.name !== 'type')
+                        return;
+                    // the kind can come from a parameter that is not set yet
+                    var kind = a.value.isVarRef ? this.state[a.value.name] : a.value.value;
+                    if (typeof kind === 'string')
+                        add('kind', kind);
+                });
+            }
+        };
+        var addQueriesOutputs = (block) => {
+            block.queries.forEach((q) => addSelector(q.invocation.selector));
+            block.outputs.forEach((out) => {
+                if (out.action)
+                    addSelector(out.action.selector);
+            });
+        };
+
+        this.compiler.rules.forEach((rule) => {
+            rule.inputs.forEach((input) => {
+                if (input.invocation)
+                    addSelector(input.invocation.selector);
+            });
+            addQueriesOutputs(rule);
+        });
+        this.compiler.commands.forEach(addQueriesOutputs);
+
+        return Array.from(devices.values());
+    }
+
+    // the names of the devices the app needs (see getRequiredDevices())
+    getRequiredDeviceKinds() {
+        var names = new Set;
+        this.getRequiredDevices().forEach((d) => names.add(d.name));
+        return Array.from(names);
+    }
+
+    // whether the app uses the sunrise, sunset, dawn or dusk triggers,
+    // which need to know where we are
+    usesSolarEvents() {
+        return this.compiler.rules.some((rule) => {
+            return rule.inputs.some((input) => {
+                var invocation = input.invocation;
+                return invocation && invocation.selector.isGlobalName &&
+                    invocation.selector.name === 'builtin' && Solar.isEvent(invocation.name);
+            });
+        });
+    }
+
+    // what a UI needs to know to install the app; only valid after compile()
+    describe() {
+        var params = [];
+        for (var name in this.compiler.params)
+            params.push({ name: name, type: String(this.compiler.params[name]) });
+
+        return {
+            name: this.name,
+            params: params,
+            keywords: Object.keys(this.compiler.keywords),
+            devices: this.getRequiredDeviceKinds()
+        };
+    }
+
+    getActionTargets() {
+        var targets = new Set;
+        this.rules.forEach((rule) => {
+            rule.outputs.forEach((out) => {
+                out.getTargets().forEach((t) => targets.add(t));
+            });
+        });
+        return Array.from(targets);
+    }
+
+    replayAction(channelId, value) {
+        for (var rule of this.rules) {
+            for (var out of rule.outputs) {
+                if (out.hasChannel(channelId))
+                    return out.replay(channelId, value);
+            }
+        }
+        return Q.reject(new Error('Channel ' + channelId + ' is not used by ' + this.uniqueId));
+    }
+
     removeSelf() {
         this.engine.apps.removeApp(this);
     }
@@ -168,11 +468,46 @@ module.exports = class AppExecutor extends events.EventEmitter {
         if (this._error)
             return Q.reject(this._error);
 
-        return this.compiler.compileProgram(this._ast, this.state);
+        return Q.try(() => {
+            return this.compiler.compileProgram(this._ast, this.state);
+        }).catch((e) => {
+            this._recordError(e, 'compile', null);
+            throw e;
+        });
     }
 
+    // open all the commands before running any, so that nothing runs
+    // if some of them cannot be opened, and fail if any of them failed
     runCommands() {
-        return Q.all(this.commands.map((c) => c.run()));
+        var opened = [];
+        return Q.allSettled(this.commands.map((c) => {
+            return c.open().then(() => opened.push(c));
+        })).then((results) => {
+            results.forEach((r) => {
+                if (r.state === 'rejected')
+                    throw r.reason;
+            });
+            return Q.all(this.commands.map((c) => c.execute()));
+        }).then((executions) => {
+            var errors = [];
+            executions.forEach((e) => {
+                errors.push.apply(errors, e.errors);
+            });
+            if (errors.length > 0)
+                throw new Error('Some commands failed: ' + errors.join(', '));
+        }).finally(() => {
+            return Q.all(opened.map((c) => c.close()));
+        });
+    }
+
+    // release whatever was opened before open() failed
+    _closeAfterFailure() {
+        var promises = this.rules.map((r) => Q.try(() => r.close()));
+        for (var name in this.modules) {
+            var module = this.modules[name];
+            promises.push(Q.try(() => module.stop()));
+        }
+        return Q.allSettled(promises);
     }
 
     open() {
@@ -184,8 +519,8 @@ module.exports = class AppExecutor extends events.EventEmitter {
             this.modules[name] = new ComputeModule(this.engine, this, name,
                                                    this.compiler.modules[name]);
         }
-        this.rules = this.compiler.rules.map(function(rule) {
-            return new RuleExecutor(this.engine, this, rule);
+        this.rules = this.compiler.rules.map(function(rule, i) {
+            return new RuleExecutor(this.engine, this, rule, i);
         }, this);
         this.commands = this.compiler.commands.map(function(command) {
             return new CommandExecutor(this.engine, this, command);
@@ -199,8 +534,10 @@ module.exports = class AppExecutor extends events.EventEmitter {
                 return Q.all(this.rules.map(function(r) { return r.open(); }));
             }.bind(this));
         }.bind(this)).catch(function(e) {
-            this._error = e;
-            throw e;
+            this._recordError(e, 'open', null);
+            return this._closeAfterFailure().then(function() {
+                throw e;
+            });
         }.bind(this));
     }
 
@@ -212,6 +549,11 @@ module.exports = class AppExecutor extends events.EventEmitter {
         return Q.all(this.rules.map(function(r) { return r.stop(); }));
     }
 
+    // let the rules finish what they are doing, before stopping them
+    drain(timeout) {
+        return Q.all(this.rules.map((r) => r.drain(timeout)));
+    }
+
     close() {
         return Q.all(this.rules.map(function(r) { return r.close() ; }))
             .then(function() {
@@ -267,4 +609,6 @@ module.exports = class AppExecutor extends events.EventEmitter {
 }
 module.exports.prototype.$rpcMethods = ['get name', 'get description', 'get icon', 'get code',
                                         'get state', 'get uniqueId', 'get error',
-                                        'get isRunning', 'get isEnabled'];
+                                        'get isRunning', 'get isEnabled', 'get isSimulated',
+                                        'get isSuspended', 'get health', 'get errors',
+                                        'get simulationReport', 'get usage', 'injectTrigger', 'runRule'];
@@ -35,8 +35,17 @@ module.exports = class ChannelOpener extends ObjectSet.Base {
         this._params = params || [];
 
         this._set = new ObjectSet.Simple();
-        this._set.on('object-added', (o) => this.objectAdded(o));
-        this._set.on('object-removed', (o) => this.objectRemoved(o));
+        this._set.on('object-added', (o) => {
+            this.app.channelOpened();
+            this.objectAdded(o);
+        });
+        this._set.on('object-removed', (o) => {
+            this.app.channelClosed();
+            this.objectRemoved(o);
+        });
+
+        this._deviceAddedListener = this._onDeviceAdded.bind(this);
+        this._deviceRemovedListener = this._onDeviceRemoved.bind(this);
     }
 
     values() {
@@ -45,14 +54,16 @@ module.exports = class ChannelOpener extends ObjectSet.Base {
 
     start() {
         this._view.start();
-        this._view.on('object-added', this._onDeviceAdded.bind(this));
-        this._view.on('object-removed', this._onDeviceRemoved.bind(this));
+        this._view.on('object-added', this._deviceAddedListener);
+        this._view.on('object-removed', this._deviceRemovedListener);
 
         return this._openChannels();
     }
 
     stop() {
         this._view.stop();
+        this._view.removeListener('object-added', this._deviceAddedListener);
+        this._view.removeListener('object-removed', this._deviceRemovedListener);
         return this._closeChannels();
     }
 
@@ -14,6 +14,7 @@ const Ast = ThingTalk.Ast;
 const ActionExecutor = require('./action_executor');
 const QueryExecutor = require('./query_executor');
 const ExecWrapper = require('./exec_wrapper');
+const Execution = require('./execution');
 const RefCounted = require('../util/ref_counted');
 
 module.exports = class CommandExecutor extends RefCounted {
@@ -28,6 +29,7 @@ module.exports = class CommandExecutor extends RefCounted {
         this.queries = command.queries.map((query) => {
             return new QueryExecutor(engine, app, this, query);
         });
+        this._independentQueries = QueryExecutor.findIndependent(this.queries);
         this.outputs = command.outputs.map((out) => {
             return new ActionExecutor(engine, app, this, out);
         });
@@ -37,17 +39,8 @@ module.exports = class CommandExecutor extends RefCounted {
         this._refCount = 0;
     }
 
-    _runQueries(env, cont) {
-        function loop(queries, env, i, cont) {
-            if (i === queries.length)
-                return cont(env);
-
-            return queries[i].invoke(env, function(env) {
-                return loop(queries, env, i+1, cont);
-            });
-        }
-
-        return loop(this.queries, env, 0, cont);
+    _runQueries(env, execution, cont) {
+        return QueryExecutor.runAll(this.queries, this._independentQueries, env, execution, cont);
     }
 
     _doOpen() {
@@ -57,11 +50,15 @@ module.exports = class CommandExecutor extends RefCounted {
     }
 
     _doRun() {
-        return this._runQueries(this._env, (env) => {
+        var execution = new Execution(this.app, null);
+        execution.track(this._runQueries(this._env, execution, (env) => {
             this.outputs.forEach((out) => {
-                out.execute(env);
+                execution.track(out.execute(env, execution));
             });
-        });
+        }));
+        return execution.wait().then(() => {
+            return this.engine.apps.recordExecution(execution);
+        }).then(() => execution);
     }
 
     _doClose() {
@@ -70,6 +67,12 @@ module.exports = class CommandExecutor extends RefCounted {
         });
     }
 
+    // run the command, which must be open already, and return
+    // the execution
+    execute() {
+        return this._doRun();
+    }
+
     run() {
         return this.open().then(() => {
             return this._doRun();
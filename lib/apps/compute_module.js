@@ -12,18 +12,39 @@ const events = require('events');
 const vm = require('vm');
 const Tp = require('thingpedia');
 
+const ChannelStateDatabase = require('../db/channel');
+const ChannelStateBinder = require('../devices/channel_state_binder');
+
+// how long a compute function can run, in ms; this covers the synchronous
+// part, and the promise the function returns, if any, although we cannot
+// stop the work behind a promise that misses the limit, only stop waiting
+// for it
+//
+// memory is not limited: a vm context shares the heap of the engine, and
+// a cap would need running the modules in a separate process
+const DEFAULT_TIMEOUT = 1000;
+// how many times a module can go over its time limit before we disable it
+const MAX_VIOLATIONS = 5;
+
+// errors from going over the limits, which retrying would only repeat
+function makeLimitError(message) {
+    var error = new Error(message);
+    error.retryable = false;
+    return error;
+}
+
 const ComputeModuleFunctionChannel = new Tp.ChannelClass({
     Name: 'ComputeModuleFunctionChannel',
 
-    _init: function(ast, fn) {
+    _init: function(module, name) {
         this.parent();
 
-        this._ast = ast;
-        this._fn = fn;
+        this._module = module;
+        this._name = name;
     },
 
     sendEvent: function(args) {
-        return this._fn.apply(null, args);
+        return this._module.callFunction(this._name, args);
     }
 });
 
@@ -38,7 +59,30 @@ module.exports = class ComputeModule {
         this._name = name;
         this._module = module;
 
+        // apps can change the limit with { timeout: ms } in their state
+        var limits = app.state.$computeLimits || {};
+        this._timeout = typeof limits.timeout === 'number' && limits.timeout > 0 ? limits.timeout : DEFAULT_TIMEOUT;
+        this._violations = 0;
+        this.isDisabled = false;
+
+        // the persistent state of the module, as seen by the functions
+        // as "state"; it is loaded in start()
+        this._state = {};
+        this._savedState = '{}';
+        this._stateBinder = new ChannelStateBinder(new ChannelStateDatabase(engine.platform));
+        this._stateBinder.init(this.uniqueId);
+
         var scope = {};
+        // the function to call and its arguments, see callFunction()
+        Object.defineProperty(scope, '$computeCall', { configurable: false,
+                                                       enumerable: false,
+                                                       writable: true,
+                                                       value: null });
+        // configurable, so that a keyword called state still wins
+        Object.defineProperty(scope, 'state', { configurable: true,
+                                                enumerable: true,
+                                                get: () => this._state,
+                                                set: (v) => { this._state = v; } });
 
         var keywords = app.compiler.keywords;
         for (var name in keywords) {
@@ -62,7 +106,9 @@ module.exports = class ComputeModule {
 
         Object.seal(scope);
 
+        this._scope = scope;
         this._context = vm.createContext(scope);
+        this._callScript = new vm.Script('$computeCall.fn.apply(null, $computeCall.args);');
 
         this._functions = {};
         this._eventPipes = {};
@@ -70,21 +116,85 @@ module.exports = class ComputeModule {
         for (var name in module.functions) {
             var ast = module.functions[name];
             var fn = vm.runInContext('(function(' + ast.params.join(',')
-                                     +') {' + ast.code + '});', this._context);
+                                     +') {' + ast.code + '});', this._context,
+                                     { timeout: this._timeout });
             this._functions[name] = fn;
         }
 
         this._functionChannels = {}
     }
 
+    // called when a call runs over the time limit, either synchronously
+    // or waiting for the promise it returned
+    _reportViolation() {
+        this._violations++;
+        if (this._violations >= MAX_VIOLATIONS && !this.isDisabled) {
+            console.log('Compute module ' + this._name + ' in ' + this.app.uniqueId + ' is over its time limit too often, disabling');
+            this.isDisabled = true;
+        }
+        this.engine.stats.hit('compute-module-violation');
+    }
+
+    // run one of the functions, with a timeout on the synchronous part,
+    // and on the promise it returns, if any
+    callFunction(name, args) {
+        if (this.isDisabled)
+            throw makeLimitError('Compute module ' + this._name + ' was disabled because it went over its time limit too many times');
+
+        var message = 'Compute function ' + this._name + '.' + name + ' did not finish within ' + this._timeout + ' ms';
+        var result;
+        this._scope.$computeCall = { fn: this._functions[name], args: args };
+        try {
+            result = this._callScript.runInContext(this._context, { timeout: this._timeout });
+        } catch(e) {
+            if (e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' || /timed out/.test(e.message)) {
+                this._reportViolation();
+                throw makeLimitError(message);
+            }
+            throw e;
+        } finally {
+            this._scope.$computeCall = null;
+            this._saveState();
+        }
+
+        if (result === null || typeof result !== 'object' || typeof result.then !== 'function')
+            return result;
+
+        var limitError = makeLimitError(message);
+        return Q(result).timeout(this._timeout, limitError).catch((e) => {
+            if (e === limitError)
+                this._reportViolation();
+            throw e;
+        }).finally(() => {
+            // the function can change the state until its promise settles
+            this._saveState();
+        });
+    }
+
+    _saveState() {
+        var serialized;
+        try {
+            serialized = JSON.stringify(this._state);
+        } catch(e) {
+            console.error('State of compute module ' + this._name + ' is not serializable: ' + e.message);
+            return;
+        }
+        if (serialized === this._savedState)
+            return;
+
+        // the binder writes to disk shortly after, so a burst of calls
+        // results in one write
+        this._savedState = serialized;
+        this._stateBinder.set('state', JSON.parse(serialized));
+    }
+
     getAction(id) {
         if (id in this._module.functions) {
             var ch;
             if (this._functionChannels[id])
                 ch = this._functionChannels[id];
             else
-                ch = new ComputeModuleFunctionChannel(this._module.functions[id],
-                                                      this._functions[id]);
+                ch = new ComputeModuleFunctionChannel(this, id);
             this._functionChannels[id] = ch;
 
             return ch.open().then(function() {
@@ -158,19 +268,35 @@ module.exports = class ComputeModule {
 
         var promises = [];
         for (var name in keywords) {
-            var p = this._keywords[name];
-            promises.push(kw.close());
+            var kw = this._keywords[name];
+            if (kw)
+                promises.push(kw.close());
         }
         return Q.all(promises);
     }
 
+    _startState() {
+        return this._stateBinder.open().then(() => {
+            var state = this._stateBinder.get('state');
+            this._state = (state !== undefined && state !== null) ? state : {};
+            this._savedState = JSON.stringify(this._state);
+        });
+    }
+
+    _stopState() {
+        // closing flushes any pending change to disk
+        return this._stateBinder.close();
+    }
+
     start() {
         return Q.all([this._startEventPipes(),
-                      this._startKeywords()]);
+                      this._startKeywords(),
+                      this._startState()]);
     }
 
     stop() {
         return Q.all([this._stopEventPipes(),
-                      this._startKeywords()]);
+                      this._stopKeywords(),
+                      this._stopState()]);
     }
 }
@@ -0,0 +1,87 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+// two different actions on the same channel closer than this are flapping
+const FLAPPING_WINDOW = 60 * 1000;
+
+// Keeps track of which apps drive which actions, to find apps that
+// fight over the same device
+//
+// Actions are identified by the uniqueId of the channel, which is
+// made of the device uniqueId and the action name
+module.exports = class ConflictDetector {
+    constructor() {
+        // map from channel uniqueId to the set of app uniqueIds that use it
+        this._index = new Map;
+        // map from channel uniqueId to the last action sent to it
+        this._lastActions = new Map;
+    }
+
+    // add the app to the index, and return the list of conflicts
+    // with apps that are already there, as { app, channel }
+    addApp(app) {
+        var conflicts = [];
+
+        app.getActionTargets().forEach((channelId) => {
+            var apps = this._index.get(channelId);
+            if (apps === undefined) {
+                apps = new Set;
+                this._index.set(channelId, apps);
+            }
+            apps.forEach((appId) => {
+                if (appId !== app.uniqueId)
+                    conflicts.push({ app: appId, channel: channelId });
+            });
+            apps.add(app.uniqueId);
+        });
+
+        return conflicts;
+    }
+
+    removeApp(app) {
+        this._index.forEach((apps, channelId) => {
+            apps.delete(app.uniqueId);
+            if (apps.size === 0)
+                this._index.delete(channelId);
+        });
+        this._lastActions.forEach((last, channelId) => {
+            if (last.app === app.uniqueId)
+                this._lastActions.delete(channelId);
+        });
+    }
+
+    getConflicts(appId) {
+        var conflicts = [];
+        this._index.forEach((apps, channelId) => {
+            if (!apps.has(appId))
+                return;
+            apps.forEach((other) => {
+                if (other !== appId)
+                    conflicts.push({ app: other, channel: channelId });
+            });
+        });
+        return conflicts;
+    }
+
+    // record that app sent value to the channel, and return the uniqueId
+    // of the app that sent a different value shortly before, if any
+    recordAction(app, channelId, value) {
+        var now = Date.now();
+        var serialized = JSON.stringify(value);
+
+        var last = this._lastActions.get(channelId);
+        this._lastActions.set(channelId, { app: app.uniqueId, value: serialized, time: now });
+
+        if (last !== undefined && last.app !== app.uniqueId &&
+            last.value !== serialized && now - last.time < FLAPPING_WINDOW)
+            return last.app;
+        else
+            return null;
+    }
+}
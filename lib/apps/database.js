@@ -11,8 +11,65 @@ const Q = require('q');
 const events = require('events');
 const uuid = require('node-uuid');
 
-const AppSql = require('../db/app');
+const SyncDatabase = require('../db/syncdb');
+const Tier = require('../tiers/tier_manager').Tier;
+const AppHistorySql = require('../db/app_history');
+const DeadLetterSql = require('../db/dead_letter');
+const ChannelStateDatabase = require('../db/channel');
 const AppExecutor = require('./app_executor');
+const QuietHours = require('./quiet_hours');
+const ConflictDetector = require('./conflict_detector');
+const Validator = require('./validator');
+const AppEventStream = require('./event_stream');
+const Solar = require('../util/solar');
+
+// how many rule executions we keep in the history, across all apps
+const HISTORY_SIZE = 1000;
+// how many failed actions we keep around for replay, across all apps
+const DEAD_LETTER_SIZE = 500;
+// the format of bundles produced by exportApp
+const BUNDLE_VERSION = 1;
+// where apps run, in order of preference: tiers that are always on come
+// first, so that apps survive when the phone is turned off or lost
+const PLACEMENT_ORDER = [Tier.CLOUD, Tier.SERVER, Tier.PHONE];
+// the error of dead letters for actions cut off by a shutdown before
+// they were sent, which we replay automatically at the next start
+const INTERRUPTED_ERROR = 'Interrupted by shutdown';
+// the error of those cut off while they were being sent, which might
+// have gone through, so they are only replayed if the user asks
+const INTERRUPTED_SENDING_ERROR = 'Interrupted by shutdown while it was being sent';
+
+// the error for a failed installation, with the step that failed
+// (compile, open, commands, save or start) and the original error
+function makeInstallError(step, cause) {
+    var error = new Error('Failed to install app: ' + cause.message);
+    error.code = 'EINSTALLFAILED';
+    error.step = step;
+    error.cause = cause;
+    return error;
+}
+
+// the error for apps with solar triggers when we don't know where we are
+function makeLocationError(engine) {
+    var error = new Error(engine._("Your location is not known, set it in the settings to use sunrise and sunset triggers"));
+    error.code = 'ENOLOCATION';
+    return error;
+}
+
+// the error for changes to an app that runs in another tier, which
+// only that tier can make
+function makeWrongTierError(uniqueId, tier) {
+    var error = new Error('App ' + uniqueId + ' runs in the ' + tier + ' tier, it must be changed there');
+    error.code = 'EWRONGTIER';
+    error.tier = tier;
+    return error;
+}
+
+function toTimestamp(time) {
+    if (time === undefined || time === null)
+        return null;
+    return (new Date(time)).getTime();
+}
 
 module.exports = class AppDatabase extends events.EventEmitter {
     constructor(engine) {
@@ -21,66 +78,289 @@ module.exports = class AppDatabase extends events.EventEmitter {
         this._apps = {};
 
         this._engine = engine;
-        this._db = new AppSql(engine.platform);
+        this._syncdb = new SyncDatabase(engine.platform, 'app',
+                                        ['code', 'state', 'name', 'description', 'enabled', 'tier'],
+                                        engine.tiers);
+        this._history = new AppHistorySql(engine.platform);
+        this._deadLetters = new DeadLetterSql(engine.platform);
+        this._channelState = new ChannelStateDatabase(engine.platform);
+        this._quietHours = new QuietHours(engine);
+        this._conflicts = new ConflictDetector();
+        this._events = new AppEventStream();
+
+        this.on('app-added', (app) => this._events.push('added', app));
+        this.on('app-removed', (app) => this._events.push('removed', app));
     }
 
     _getAll() {
-        return this._db.getAll();
+        return this._syncdb.getAll();
     }
 
     _insertOne(uniqueId, row) {
         console.log('Inserting one app in DB: ' + JSON.stringify(row));
-        return this._db.insertOne(uniqueId, row);
+        return this._syncdb.insertOne(uniqueId, row);
     }
 
     _deleteOne(uniqueId) {
         console.log('Deleting one app from DB: ' + uniqueId);
-        return this._db.deleteOne(uniqueId);
+        return this._syncdb.deleteOne(uniqueId);
+    }
+
+    _createApp(code, state, name, description) {
+        return new AppExecutor(this._engine, code, state, name, description);
+    }
+
+    // apps with solar triggers go to the phone if there is one, because
+    // it is the tier that knows where we are from the GPS
+    _choosePlacement(app) {
+        var tiers = this._engine.tiers;
+        if (app && app.usesSolarEvents() && tiers.isConfigured(Tier.PHONE))
+            return Tier.PHONE;
+        for (var tier of PLACEMENT_ORDER) {
+            if (tiers.isConfigured(tier))
+                return tier;
+        }
+        return tiers.ownTier;
+    }
+
+    // the tier that runs an app is the one it was placed on, as long as
+    // that is still configured, otherwise the one we would choose now
+    _isOwnedHere(tier) {
+        var tiers = this._engine.tiers;
+        if (!tier || !tiers.isConfigured(tier))
+            tier = this._choosePlacement();
+        return tier === tiers.ownTier;
+    }
+
+    // if tier is not given, the placement policy chooses one
+    //
+    // if simulate is true, the app is loaded and runs as usual, but
+    // its actions are recorded in app.simulationReport instead of being
+    // executed, and it is never saved in the database
+    //
+    // the state is checked against the parameters of the app first, and
+    // the returned promise is rejected with an error with code EINVALIDPARAMS
+    // and the list of problems in errors (see describeApp) if it does not match
+    //
+    // an app with solar triggers that would run here is rejected with an
+    // error with code ENOLOCATION if we don't know where we are; if it runs
+    // in another tier, that tier reports it when it opens the triggers
+    //
+    // if the installation fails later, nothing of the app is left running and
+    // the promise is rejected with an error with code EINSTALLFAILED
+    loadOneApp(code, state, uniqueId, tier, name, description, addToDB, simulate) {
+        return this._compileForDescription(code).catch((e) => {
+            throw makeInstallError('compile', e);
+        }).then((app) => {
+            var errors = Validator.checkState(app.compiler.params, state || {});
+            if (errors.length > 0)
+                throw Validator.makeError(errors);
+
+            if (!tier)
+                tier = simulate ? this._engine.ownTier : this._choosePlacement(app);
+            if (app.usesSolarEvents() && this._isOwnedHere(tier) &&
+                Solar.getLocation(this._engine.platform) === null)
+                throw makeLocationError(this._engine);
+
+            return this._loadOneAppInternal(code, state, uniqueId, tier, name, description, true,
+                                            addToDB && !simulate, !!simulate);
+        });
+    }
+
+    _compileForDescription(code) {
+        return Q.try(() => {
+            var app = this._createApp(code, {}, null, null);
+            return app.compile().then(() => app);
+        });
     }
 
-    loadOneApp(code, state, uniqueId, tier, name, description, addToDB) {
+    // compile the app without installing it, and return its name, its
+    // parameters with their types, its keywords and the kinds of devices
+    // it needs
+    describeApp(code) {
+        return this._compileForDescription(code).then((app) => app.describe());
+    }
+
+    _loadOneAppInternal(code, state, uniqueId, tier, name, description, enabled, addToDB, simulate) {
         if (addToDB)
             console.log('Loading new app: ' + code);
+        else if (simulate)
+            console.log('Simulating new app: ' + code);
 
+        // nothing is started until every step succeeded; if one fails,
+        // what was opened is closed again, the app is deleted from the
+        // database if it was saved, and the promise is rejected with an
+        // error that says which step it was
+        var app = null;
+        var step = 'compile';
+        var opened = false;
+        var saved = false;
         return Q.try(() => {
-            var app = new AppExecutor(this._engine, code, state, name, description);
-            return app.compile().then(function() { return app; });
-        }).tap((app) => {
+            app = this._createApp(code, state, name, description);
+            app.isSimulated = simulate;
+            app.tier = tier;
+            return app.compile();
+        }).then(() => {
+            step = 'open';
             this._addAppInternal(app, uniqueId);
             return app.open();
-        }).tap((app) => {
-            if (addToDB)
+        }).then(() => {
+            opened = true;
+            app.isEnabled = enabled;
+
+            // a simulation covers the commands that would run at install time
+            step = 'commands';
+            if (addToDB || simulate)
                 return app.runCommands();
-        }).tap((app) => {
-            // only start and save into db apps that actually have some rules
-            if (app.rules.length > 0) {
-                this._enableApp(app);
-                if (addToDB)
-                    return this._saveApp(app);
-            } else
+        }).then(() => {
+            // save only once everything else worked, because saving sends the
+            // app to the other tiers, and the one that should run it starts it
+            // right away; only apps that actually have some rules go into the db
+            step = 'save';
+            if (addToDB && app.rules.length > 0) {
+                return this._saveApp(app).then(() => {
+                    saved = true;
+                });
+            }
+        }).then(() => {
+            step = 'start';
+            if (app.rules.length === 0)
                 return this._removeAppInternal(app.uniqueId);
-        }).catch(function(e) {
+
+            // commands run where the app is installed, but rules run
+            // in one tier only, the others just keep it in the database
+            if (!simulate && !this._isOwnedHere(tier)) {
+                console.log('App ' + app.uniqueId + ' will run in ' + tier);
+                delete this._apps[app.uniqueId];
+                opened = false;
+                // the app is installed by now, failing to close our copy
+                // does not change that
+                return app.close().catch((e) => {
+                    console.error('Failed to close app ' + app.uniqueId + ' after handing it over: ' + e.message);
+                });
+            }
+
+            // simulated apps never touch the devices
+            if (!simulate) {
+                var conflicts = this._conflicts.addApp(app);
+                if (addToDB && conflicts.length > 0)
+                    this._warnConflicts(app, conflicts);
+            }
+            this._notifyAppAdded(app, enabled);
+        }).catch((e) => {
             console.error('Failed to load one app: ' + e);
             console.error(e.stack);
+
+            if (app !== null && this._apps[app.uniqueId] === app)
+                delete this._apps[app.uniqueId];
+            return Q.try(() => {
+                if (opened)
+                    return app.close();
+            }).catch((closeError) => {
+                console.error('Failed to close app after failed installation: ' + closeError.message);
+            }).then(() => {
+                if (saved)
+                    return this._deleteOne(app.uniqueId);
+            }).catch((deleteError) => {
+                console.error('Failed to delete app after failed installation: ' + deleteError.message);
+            }).then(() => {
+                throw makeInstallError(step, e);
+            });
         });
     }
 
+    _loadRow(uniqueId, row) {
+        return Q.try(() => {
+            var state = JSON.parse(row.state);
+            return this._loadOneAppInternal(row.code, state, uniqueId, row.tier, row.name, row.description,
+                                            !!row.enabled, false, false);
+        }).catch((e) => {
+            console.log('Failed to load one app: ' + e);
+        });
+    }
+
+    // load or unload the app in the row, depending on where it should run
+    _placeRow(uniqueId, row) {
+        var owned = this._isOwnedHere(row.tier);
+        var loaded = this._apps[uniqueId] !== undefined;
+
+        if (owned && !loaded) {
+            return this._loadRow(uniqueId, row);
+        } else if (!owned && loaded) {
+            console.log('App ' + uniqueId + ' moved to another tier');
+            return this._removeAppInternal(uniqueId);
+        } else {
+            return Q();
+        }
+    }
+
+    _onObjectAdded(uniqueId, row) {
+        var app = this._apps[uniqueId];
+        if (app === undefined || !this._isOwnedHere(row.tier)) {
+            this._placeRow(uniqueId, row).done();
+            return;
+        }
+        app.tier = row.tier;
+
+        if (row.code !== app.code || row.state !== JSON.stringify(app.state)) {
+            this._updateAppInternal(app, row.code, JSON.parse(row.state), false).catch((e) => {
+                console.error('Failed to apply update to ' + uniqueId + ' from another tier: ' + e.message);
+            }).done();
+        } else if (!!row.enabled !== app.isEnabled) {
+            if (row.enabled)
+                app.resume();
+            app.isEnabled = !!row.enabled;
+            this._events.push(app.isEnabled ? 'enabled' : 'disabled', app);
+            this.emit('app-changed', app);
+        }
+    }
+
+    _onObjectDeleted(uniqueId) {
+        this._removeAppInternal(uniqueId).then(() => {
+            return this._forgetApp(uniqueId);
+        }).done();
+    }
+
+    // tiers that come and go change where apps should run
+    _onDeviceChanged(device) {
+        if (!device.uniqueId.startsWith('thingengine-own-'))
+            return;
+
+        this._getAll().then((rows) => {
+            return Q.all(rows.map((row) => this._placeRow(row.uniqueId, row)));
+        }).done();
+    }
+
     start() {
-        return this._getAll().then(function(rows) {
-            return Q.all(rows.map(function(row) {
-                try {
-                    var code = row.code;
-                    var state = JSON.parse(row.state);
-                    return this.loadOneApp(code, state, row.uniqueId, undefined, row.name, row.description, false);
-                } catch(e) {
-                    console.log('Failed to load one app: ' + e);
-                }
-            }.bind(this)));
-        }.bind(this));
+        this._quietHours.start();
+
+        this._objectAddedHandler = this._onObjectAdded.bind(this);
+        this._objectDeletedHandler = this._onObjectDeleted.bind(this);
+        this._syncdb.on('object-added', this._objectAddedHandler);
+        this._syncdb.on('object-deleted', this._objectDeletedHandler);
+        this._deviceChangedHandler = this._onDeviceChanged.bind(this);
+        this._engine.devices.on('object-added', this._deviceChangedHandler);
+        this._engine.devices.on('object-removed', this._deviceChangedHandler);
+
+        this._syncdb.open();
+        return this._getAll().then((rows) => {
+            return Q.all(rows.map((row) => {
+                if (!this._isOwnedHere(row.tier))
+                    return;
+                return this._loadRow(row.uniqueId, row);
+            }));
+        });
     }
 
     stop() {
-        return Q();
+        this._quietHours.stop();
+        this._events.stop();
+
+        this._syncdb.removeListener('object-added', this._objectAddedHandler);
+        this._syncdb.removeListener('object-deleted', this._objectDeletedHandler);
+        this._engine.devices.removeListener('object-added', this._deviceChangedHandler);
+        this._engine.devices.removeListener('object-removed', this._deviceChangedHandler);
+        return this._syncdb.close();
     }
 
     _removeAppInternal(uniqueId) {
@@ -88,6 +368,7 @@ module.exports = class AppDatabase extends events.EventEmitter {
         delete this._apps[uniqueId];
 
         if (app !== undefined) {
+            this._conflicts.removeApp(app);
             this.emit('app-removed', app);
             return app.close();
         } else
@@ -111,28 +392,466 @@ module.exports = class AppDatabase extends events.EventEmitter {
         if (this._apps[app.uniqueId])
             throw new Error('Multiple apps with the same ID, delete one first');
         this._apps[app.uniqueId] = app;
+        this._watchApp(app);
     }
 
-    _enableApp(app) {
-        app.isEnabled = true;
+    _watchApp(app) {
+        // a suspended app is stopped just like a disabled one
+        app.on('suspended', () => this.emit('app-changed', app));
+        app.on('resumed', () => this.emit('app-changed', app));
+
+        app.on('error-reported', (error) => this._events.push('error', app, error.message));
+        app.on('started', () => this._events.push('started', app));
+        app.on('stopped', () => this._events.push('stopped', app));
+    }
+
+    _warnConflicts(app, conflicts) {
+        var names = new Set;
+        conflicts.forEach((c) => {
+            console.log('App ' + app.uniqueId + ' conflicts with ' + c.app + ' on ' + c.channel);
+            var other = this._apps[c.app];
+            names.add(other !== undefined ? other.name : c.app);
+        });
+
+        if (!this._engine.platform.hasCapability('assistant'))
+            return;
+        var message = this._engine._("%s controls the same devices as %s, the apps might undo each other's actions.")
+            .format(app.name, Array.from(names).join(', '));
+        this.notify([app.uniqueId, app.icon, message]);
+    }
+
+    _notifyAppAdded(app, enabled) {
+        app.isEnabled = enabled;
         this.emit('app-added', app);
     }
 
     _saveApp(app) {
+        // simulated apps live only in memory, whatever happens to them
+        if (app.isSimulated)
+            return Q();
+
         return this._insertOne(app.uniqueId, {
             state: JSON.stringify(app.state),
             code: app.code,
             name: app.name,
-            description: app.description
+            description: app.description,
+            enabled: app.isEnabled,
+            tier: app.tier
+        });
+    }
+
+    _setAppEnabled(app, enabled) {
+        // enabling a suspended app gives it another chance
+        if (enabled)
+            app.resume();
+        if (app.isEnabled === enabled)
+            return Q();
+
+        // the runner picks up the change and starts or stops the rules
+        app.isEnabled = enabled;
+        this._events.push(enabled ? 'enabled' : 'disabled', app);
+        this.emit('app-changed', app);
+        return this._saveApp(app);
+    }
+
+    // the app with the given uniqueId, if it runs here; apps that run
+    // in another tier are in the database too, but only that tier can
+    // change them, so they are an error rather than ignored
+    _getOwnedApp(uniqueId) {
+        var app = this._apps[uniqueId];
+        if (app !== undefined)
+            return Q(app);
+
+        return this._syncdb.getOne(uniqueId).then((row) => {
+            if (!row)
+                throw new Error('Invalid app ' + uniqueId);
+            throw makeWrongTierError(uniqueId, row.tier);
+        });
+    }
+
+    enableApp(app) {
+        return this._getOwnedApp(app.uniqueId).then((app) => this._setAppEnabled(app, true));
+    }
+
+    disableApp(app) {
+        return this._getOwnedApp(app.uniqueId).then((app) => this._setAppEnabled(app, false));
+    }
+
+    _replaceAppInternal(oldApp, newApp) {
+        // swap the two versions in the same tick, so that the runner
+        // starts the new rules as soon as it stops the old ones
+        this._apps[newApp.uniqueId] = newApp;
+        this._watchApp(newApp);
+        this._conflicts.removeApp(oldApp);
+        this._conflicts.addApp(newApp);
+        this.emit('app-removed', oldApp);
+        this.emit('app-added', newApp);
+        return oldApp.close();
+    }
+
+    // the state is checked against the parameters of the new code, as in
+    // loadOneApp, and the old version keeps running if it does not match
+    updateApp(uniqueId, code, state) {
+        return this._getOwnedApp(uniqueId).then((oldApp) => {
+            if (state === undefined || state === null)
+                state = oldApp.state;
+
+            return this._updateAppInternal(oldApp, code, state, true);
+        });
+    }
+
+    // save is false for updates that come from another tier, which
+    // are already in the database
+    _updateAppInternal(oldApp, code, state, save) {
+        var uniqueId = oldApp.uniqueId;
+        console.log('Updating app ' + uniqueId + ': ' + code);
+
+        var newApp = null;
+        var opened = false;
+        return Q.try(() => {
+            // keep the old name, and the old description unless the new
+            // state has its own
+            newApp = this._createApp(code, state, oldApp.name,
+                                     state.description ? null : oldApp.description);
+            // keeping the uniqueId keeps the keywords and the channel state
+            newApp.uniqueId = uniqueId;
+            newApp.isEnabled = oldApp.isEnabled;
+            newApp.isSimulated = oldApp.isSimulated;
+            newApp.tier = oldApp.tier;
+
+            return newApp.compile();
+        }).then(() => {
+            var errors = Validator.checkState(newApp.compiler.params, state);
+            if (errors.length > 0)
+                throw Validator.makeError(errors);
+
+            // one-shot commands already ran when the app was installed,
+            // so we only open the rules here
+            return newApp.open();
+        }).then(() => {
+            opened = true;
+            if (newApp.rules.length === 0)
+                throw new Error('The new version of the app has no rules');
+
+            if (save)
+                return this._saveApp(newApp);
+        }).then(() => {
+            return this._replaceAppInternal(oldApp, newApp);
+        }, (e) => {
+            // the old version is still running, we just drop the new one
+            console.error('Failed to update app ' + uniqueId + ': ' + e.message);
+            if (!opened)
+                throw e;
+            return newApp.close().then(() => { throw e; });
+        }).then(() => newApp);
+    }
+
+    // move the app to a different tier; the tier that used to run it
+    // stops it when it receives the change
+    moveApp(uniqueId, tier) {
+        return this._syncdb.getOne(uniqueId).then((row) => {
+            if (!row)
+                throw new Error('Invalid app ' + uniqueId);
+            if (PLACEMENT_ORDER.indexOf(tier) < 0)
+                throw new Error('Invalid tier ' + tier);
+
+            row.tier = tier;
+            var app = this._apps[uniqueId];
+            if (app !== undefined)
+                app.tier = tier;
+            return this._insertOne(uniqueId, row).then(() => {
+                return this._placeRow(uniqueId, row);
+            });
+        });
+    }
+
+    // return all apps in all tiers, and where each one runs
+    getAppPlacements() {
+        return this._getAll().then((rows) => {
+            return rows.map((row) => {
+                return { uniqueId: row.uniqueId,
+                         name: row.name,
+                         description: row.description,
+                         enabled: !!row.enabled,
+                         tier: row.tier,
+                         isRunningHere: this._apps[row.uniqueId] !== undefined };
+            });
+        });
+    }
+
+    _forgetApp(uniqueId) {
+        return this._history.deleteAll(uniqueId).then(() => {
+            return this._deadLetters.deleteAll(uniqueId);
+        }).then(() => {
+            // the state of the rules (see TriggerRunner) and of the
+            // compute modules (see ComputeModule) of the app
+            return this._channelState.deleteByPrefix(uniqueId + '-rule-');
+        }).then(() => {
+            return this._channelState.deleteByPrefix('thingengine-compute-module-' + uniqueId + '-');
         });
     }
 
     removeApp(app) {
         return this._removeAppInternal(app.uniqueId).then(() => {
             return this._deleteOne(app.uniqueId);
+        }).then(() => {
+            return this._forgetApp(app.uniqueId);
+        });
+    }
+
+    recordExecution(execution) {
+        // simulated executions are reported to the caller of the simulation,
+        // and dry runs to the caller of runRule; they never end up in the history
+        if (execution.isSimulated) {
+            if (execution.app.isSimulated)
+                execution.app.addSimulationResult(execution);
+            return Q();
+        }
+
+        return this._history.insertOne(execution.toJSON(), HISTORY_SIZE).catch((e) => {
+            console.error('Failed to record execution of ' + execution.app.uniqueId + ': ' + e.message);
         });
     }
 
+    // called after every successful action, to catch apps that keep
+    // undoing each other's actions
+    recordAction(app, channelId, value) {
+        var otherId = this._conflicts.recordAction(app, channelId, value);
+        if (otherId === null)
+            return;
+
+        var other = this._apps[otherId];
+        console.log('Apps ' + app.uniqueId + ' and ' + otherId + ' are flapping on ' + channelId);
+        this._engine.stats.hit('app-flapping');
+
+        var report = (target, otherName) => {
+            var error = new Error(this._engine._("This app and %s sent different commands to %s in a short time")
+                                  .format(otherName, channelId));
+            target.reportError(error, 'action', channelId);
+        };
+        report(app, other !== undefined ? other.name : otherId);
+        if (other !== undefined)
+            report(other, app.name);
+    }
+
+    // return the apps that send actions to the same channels as the given one,
+    // as a list of { app, channel }
+    getConflicts(appId) {
+        return this._conflicts.getConflicts(appId);
+    }
+
+    // store an action that failed even after retrying, so that it can be
+    // inspected and replayed later
+    addDeadLetter(app, channelId, value, error) {
+        return this._deadLetters.insertOne({
+            appId: app.uniqueId,
+            channelId: channelId,
+            value: value,
+            error: error.message,
+            failedAt: Date.now()
+        }, DEAD_LETTER_SIZE).catch((e) => {
+            console.error('Failed to store failed action of ' + app.uniqueId + ': ' + e.message);
+        });
+    }
+
+    saveInterruptedAction(app, channelId, value, wasSending) {
+        var error = new Error(wasSending ? INTERRUPTED_SENDING_ERROR : INTERRUPTED_ERROR);
+        return this.addDeadLetter(app, channelId, value, error);
+    }
+
+    replayInterruptedActions() {
+        return this._deadLetters.getAll(null).then((letters) => {
+            return Q.all(letters.filter((letter) => letter.error === INTERRUPTED_ERROR).map((letter) => {
+                console.log('Replaying action on ' + letter.channelId + ' interrupted by shutdown');
+                // if it fails again, it stays in the dead letters for the user to see
+                return this.replayDeadLetter(letter.id).catch((e) => {
+                    console.error('Failed to replay interrupted action of ' + letter.appId + ': ' + e.message);
+                });
+            }));
+        }).catch((e) => {
+            console.error('Failed to replay interrupted actions: ' + e.message);
+        });
+    }
+
+    getDeadLetters(appId) {
+        if (appId === undefined)
+            appId = null;
+        return this._deadLetters.getAll(appId);
+    }
+
+    // try again to send a failed action, and forget about it if it works
+    replayDeadLetter(id) {
+        return this._deadLetters.getOne(id).then((letter) => {
+            if (letter === null)
+                throw new Error('Invalid failed action ' + id);
+            var app = this._apps[letter.appId];
+            if (app === undefined)
+                throw new Error('Invalid app ' + letter.appId);
+
+            return app.replayAction(letter.channelId, letter.value);
+        }).then(() => {
+            return this._deadLetters.deleteOne(id);
+        });
+    }
+
+    discardDeadLetter(id) {
+        return this._deadLetters.deleteOne(id);
+    }
+
+    // return the recorded executions, most recent first, optionally
+    // restricted to one app and to those that started in the given
+    // time range
+    getHistory(appId, startTime, endTime) {
+        if (appId === undefined)
+            appId = null;
+        return this._history.getAll(appId, toTimestamp(startTime), toTimestamp(endTime));
+    }
+
+    getQuietHours() {
+        return this._quietHours.get();
+    }
+
+    // start and end are times of the day ('HH:MM') in the platform
+    // timezone; pass null to turn quiet hours off
+    setQuietHours(start, end) {
+        return Q.try(() => this._quietHours.set(start, end));
+    }
+
+    // notifications from apps go through here, so they can be
+    // held back during quiet hours
+    notify(args) {
+        this._quietHours.notify(args);
+    }
+
+    // pack the app into a self-contained bundle that importApp can
+    // load in a different engine
+    exportApp(uniqueId) {
+        var app = this._apps[uniqueId];
+        if (app === undefined)
+            return Q.reject(new Error('Invalid app ' + uniqueId));
+
+        var keywords = {};
+        return Q.all(Object.keys(app.compiler.keywords).map((name) => {
+            return this._engine.keywords.getOpenedKeyword(app.uniqueId, name).then((kw) => {
+                keywords[name] = kw.value;
+                return kw.close();
+            });
+        })).then(() => {
+            return {
+                version: BUNDLE_VERSION,
+                code: app.code,
+                state: app.state,
+                name: app.name,
+                description: app.description,
+                devices: app.getRequiredDevices(),
+                keywords: keywords
+            };
+        });
+    }
+
+    // write the value of the keywords of an app, where null deletes them
+    _writeKeywords(uniqueId, keywords) {
+        return Q.all(Object.keys(keywords).map((name) => {
+            return this._engine.keywords.getOpenedKeyword(uniqueId, name).then((kw) => {
+                kw.changeValue(keywords[name]);
+                return kw.close();
+            });
+        }));
+    }
+
+    // install the app in the bundle, and return it; a bundle with only
+    // commands runs them and returns null, as there is no app left
+    importApp(bundle) {
+        return Q.try(() => {
+            if (typeof bundle === 'string')
+                bundle = JSON.parse(bundle);
+            if (!bundle || bundle.version !== BUNDLE_VERSION || typeof bundle.code !== 'string')
+                throw new Error('Invalid app bundle');
+
+            // global names such as 'phone' are not kinds, so each entry
+            // says how to look it up (see AppExecutor.getRequiredDevices)
+            var missing = (bundle.devices || []).filter((d) => {
+                var devices;
+                if (d.lookup === 'globalName')
+                    devices = this._engine.devices.getDevicesByGlobalName(d.name);
+                else
+                    devices = this._engine.devices.getAllDevicesOfKind(d.name);
+                return devices.length === 0;
+            });
+            if (missing.length > 0)
+                throw new Error('Missing devices for app bundle: ' + missing.map((d) => d.name).join(', '));
+
+            // the keywords are keyed by the app uniqueId, so we choose it now
+            // and fill them in before the app starts using them
+            var uniqueId = 'uuid-' + uuid.v4();
+            var keywords = {};
+            var empty = {};
+            for (var name in (bundle.keywords || {})) {
+                if (bundle.keywords[name] !== null) {
+                    keywords[name] = bundle.keywords[name];
+                    empty[name] = null;
+                }
+            }
+
+            // no app owns the keywords if it failed, or if it was only
+            // commands, so they must not stay around
+            var forgetKeywords = () => {
+                return this._writeKeywords(uniqueId, empty).catch((e) => {
+                    console.error('Failed to delete the keywords of imported app ' + uniqueId + ': ' + e.message);
+                });
+            };
+
+            return this._writeKeywords(uniqueId, keywords).then(() => {
+                // the app runs here, the user chose this engine by importing it
+                return this.loadOneApp(bundle.code, bundle.state || {}, uniqueId, this._engine.ownTier,
+                                       bundle.name, bundle.description, true);
+            }).then(() => {
+                var app = this._apps[uniqueId];
+                if (app !== undefined)
+                    return app;
+                return forgetKeywords().then(() => null);
+            }, (e) => {
+                return forgetKeywords().then(() => { throw e; });
+            });
+        });
+    }
+
+    // fire one rule of an installed app on demand (see AppExecutor.runRule)
+    runRule(appId, ruleIndex, triggerValue, dryRun) {
+        var app = this._apps[appId];
+        if (app === undefined)
+            return Q.reject(new Error('Invalid app ' + appId));
+        return app.runRule(ruleIndex, triggerValue, dryRun);
+    }
+
+    // push the lifecycle events of all apps to the listener, an object
+    // with an onAppEvent(event) method; pass the seq and epoch of the last
+    // event seen to get the ones that were missed while disconnected
+    // (see AppEventStream)
+    subscribe(listener, since, epoch) {
+        return this._events.subscribe(listener, since, epoch);
+    }
+
+    unsubscribe(subscriptionId) {
+        return this._events.unsubscribe(subscriptionId);
+    }
+
+    // return the resources used by the app, or by all apps
+    // keyed by uniqueId if appId is not given
+    getResourceUsage(appId) {
+        if (appId !== undefined && appId !== null) {
+            var app = this._apps[appId];
+            if (app === undefined)
+                throw new Error('Invalid app ' + appId);
+            return app.usage;
+        }
+
+        var usage = {};
+        for (var id in this._apps)
+            usage[id] = this._apps[id].usage;
+        return usage;
+    }
+
     getAllApps() {
         var apps = [];
         for (var id in this._apps)
@@ -148,4 +867,10 @@ module.exports = class AppDatabase extends events.EventEmitter {
         return this._apps[id] !== undefined;
     }
 }
-module.exports.prototype.$rpcMethods = ['loadOneApp', 'removeApp', 'getAllApps', 'getApp', 'hasApp'];
+module.exports.prototype.$rpcMethods = ['loadOneApp', 'updateApp', 'removeApp', 'enableApp', 'disableApp',
+                                        'getAllApps', 'getApp', 'hasApp', 'getHistory',
+                                        'getDeadLetters', 'replayDeadLetter', 'discardDeadLetter',
+                                        'getQuietHours', 'setQuietHours', 'getConflicts',
+                                        'exportApp', 'importApp', 'moveApp', 'getAppPlacements',
+                                        'getResourceUsage', 'describeApp', 'subscribe', 'unsubscribe',
+                                        'runRule'];
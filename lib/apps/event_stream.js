@@ -0,0 +1,110 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Q = require('q');
+const uuid = require('node-uuid');
+
+// how many events we keep for clients that reconnect
+const MAX_EVENTS = 500;
+
+// The lifecycle events of the apps, numbered in order, for clients
+// that live on the other side of RPC
+//
+// Events are { epoch, seq, type, appId, time } plus a message for errors,
+// where type is one of added, removed, enabled, disabled, error, started
+// or stopped; the epoch changes every time the engine starts, and the
+// seq starts again from 1
+//
+// A listener is an object with an onAppEvent(event) method, usually
+// a proxy of an object living in the UI. A listener that fails is
+// assumed to be gone, and is unsubscribed.
+module.exports = class AppEventStream {
+    constructor() {
+        this._epoch = uuid.v4();
+        this._seq = 0;
+        this._events = [];
+
+        this._nextId = 0;
+        this._listeners = new Map;
+    }
+
+    get epoch() {
+        return this._epoch;
+    }
+
+    get lastSeq() {
+        return this._seq;
+    }
+
+    _makeEvent(type, appId) {
+        return { epoch: this._epoch,
+                 seq: this._seq,
+                 type: type,
+                 appId: appId,
+                 time: Date.now() };
+    }
+
+    push(type, app, message) {
+        this._seq++;
+        var event = this._makeEvent(type, app.uniqueId);
+        if (message !== undefined)
+            event.message = message;
+
+        this._events.push(event);
+        if (this._events.length > MAX_EVENTS)
+            this._events.shift();
+
+        this._listeners.forEach((listener, id) => {
+            this._send(id, listener, event);
+        });
+    }
+
+    _send(id, listener, event) {
+        Q.try(() => listener.onAppEvent(event)).catch((e) => {
+            console.log('Failed to send app event to listener ' + id + ', unsubscribing: ' + e.message);
+            this.unsubscribe(id);
+        }).done();
+    }
+
+    // subscribe the listener, and return { id, epoch, seq } where id is
+    // the subscription to pass to unsubscribe() and epoch and seq identify
+    // the last event so far
+    //
+    // if since and epoch are given, the events after since are sent first;
+    // if some of them were already dropped, or epoch is not the current one
+    // because the engine restarted, the listener gets a reset event instead,
+    // and should reload the whole list of apps
+    subscribe(listener, since, epoch) {
+        var id = this._nextId++;
+        this._listeners.set(id, listener);
+
+        if (since !== undefined && since !== null &&
+            (epoch !== this._epoch || since !== this._seq)) {
+            var oldest = this._events.length > 0 ? this._events[0].seq : this._seq + 1;
+            if (epoch !== this._epoch || since > this._seq || since < oldest - 1) {
+                this._send(id, listener, this._makeEvent('reset', null));
+            } else {
+                this._events.forEach((event) => {
+                    if (event.seq > since)
+                        this._send(id, listener, event);
+                });
+            }
+        }
+
+        return { id: id, epoch: this._epoch, seq: this._seq };
+    }
+
+    unsubscribe(id) {
+        return this._listeners.delete(id);
+    }
+
+    stop() {
+        this._listeners.clear();
+    }
+}
@@ -0,0 +1,120 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Q = require('q');
+
+// The record of one firing of a rule (or one run of a command), from the
+// trigger value to the actions that were invoked
+//
+// Queries and actions are asynchronous and fan out over multiple channels,
+// so everything that is started on behalf of the execution should be passed
+// to track(), and wait() will resolve when all of it is done
+module.exports = class Execution {
+    constructor(app, triggerValue) {
+        this.app = app;
+        this.triggerValue = triggerValue === undefined ? null : triggerValue;
+        this.queries = [];
+        this.actions = [];
+        this.errors = [];
+        this.warnings = [];
+
+        // simulated executions record their actions without invoking them
+        this.isSimulated = app.isSimulated;
+
+        this.startTime = Date.now();
+        this.endTime = null;
+
+        this._pending = [];
+        // actions that did not complete yet, mapped to whether the
+        // channel is working on them right now (as opposed to waiting
+        // for the next attempt)
+        this._unfinishedActions = new Map;
+        // set when the execution was cut off by a shutdown
+        this.isInterrupted = false;
+    }
+
+    get duration() {
+        if (this.endTime === null)
+            return Date.now() - this.startTime;
+        else
+            return this.endTime - this.startTime;
+    }
+
+    track(promise) {
+        this._pending.push(Q(promise));
+        return promise;
+    }
+
+    addQueryResult(channelId, input, value) {
+        this.queries.push({ channel: channelId, input: input, value: value });
+    }
+
+    addAction(target, value) {
+        var action = { target: target, value: value, error: null };
+        this.actions.push(action);
+        return action;
+    }
+
+    beginAction(action) {
+        this._unfinishedActions.set(action, false);
+    }
+
+    setActionSending(action, sending) {
+        if (this._unfinishedActions.has(action))
+            this._unfinishedActions.set(action, sending);
+    }
+
+    endAction(action) {
+        this._unfinishedActions.delete(action);
+    }
+
+    get unfinishedActions() {
+        return Array.from(this._unfinishedActions.keys());
+    }
+
+    isActionSending(action) {
+        return !!this._unfinishedActions.get(action);
+    }
+
+    addError(error) {
+        this.errors.push(error.message);
+    }
+
+    addWarning(message) {
+        this.warnings.push(message);
+    }
+
+    wait() {
+        // more work can be tracked while we wait for the first batch,
+        // so loop until nothing is left
+        var pending = this._pending;
+        this._pending = [];
+        if (pending.length === 0) {
+            if (this.endTime === null)
+                this.endTime = Date.now();
+            return Q(this);
+        }
+
+        return Q.allSettled(pending).then(() => this.wait());
+    }
+
+    toJSON() {
+        return {
+            appId: this.app.uniqueId,
+            startTime: this.startTime,
+            duration: this.duration,
+            triggerValue: this.triggerValue,
+            queries: this.queries,
+            actions: this.actions,
+            errors: this.errors,
+            warnings: this.warnings,
+            isSimulated: this.isSimulated
+        };
+    }
+};
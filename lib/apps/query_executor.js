@@ -10,6 +10,37 @@
 const Q = require('q');
 
 const ChannelOpener = require('./channel_opener');
+const ConcurrencyLimiter = require('../util/concurrency_limiter');
+
+// how many results we use from each channel, unless the app says otherwise
+const DEFAULT_LIMIT = 10;
+// how many pages we fetch at most from a channel that supports pagination
+const MAX_PAGES = 20;
+// how many calls to query channels one execution of a rule or command
+// makes at the same time
+const DEFAULT_CONCURRENCY = 4;
+// how long we wait for one page of results from a channel, in ms
+const DEFAULT_TIMEOUT = 30000;
+
+// the names of the variables the arguments of the query refer to, from
+// the AST of the invocation that the compiler keeps with the query; null
+// if we cannot tell, because the AST is missing or some argument is more
+// than a constant or a variable
+function getParamVariables(query) {
+    var ast = query.ast;
+    if (!ast || !Array.isArray(ast.params))
+        return null;
+
+    var names = [];
+    for (var p of ast.params) {
+        if (p === undefined || p === null || p.isConstant)
+            continue;
+        if (!p.isVarRef)
+            return null;
+        names.push(p.name);
+    }
+    return names;
+}
 
 module.exports = class QueryExecutor {
     constructor(engine, app, parent, query) {
@@ -21,35 +52,243 @@ module.exports = class QueryExecutor {
         this._selector = new ChannelOpener(this.engine, this.app, 'q',
                                            query.invocation.selector,
                                            query.invocation.name);
+
+        var limit = this._getOption('$queryLimit');
+        this._limit = typeof limit === 'number' && limit > 0 ? limit : DEFAULT_LIMIT;
+        this._paginate = !!this._getOption('$queryPaginate');
+        var timeout = this._getOption('$queryTimeout');
+        this._timeout = typeof timeout === 'number' && timeout > 0 ? timeout : DEFAULT_TIMEOUT;
+
+        this._variables = getParamVariables(query);
+    }
+
+    // the limiter for the calls of one execution, with the
+    // $queryConcurrency of the app
+    static makeLimiter(app) {
+        var concurrency = app.state.$queryConcurrency;
+        if (typeof concurrency !== 'number' || concurrency < 1)
+            concurrency = DEFAULT_CONCURRENCY;
+        return new ConcurrencyLimiter(concurrency);
+    }
+
+    // which of the queries of a rule or command can start before the ones
+    // before them have results, because no argument refers to a variable
+    // that those might bind; the parameters and the keywords of the app are
+    // there from the start, any other variable might be bound by the first
+    // query that mentions it
+    static findIndependent(queries) {
+        var mentioned = new Set;
+        var known = true;
+        return queries.map((query, i) => {
+            var names = query._variables;
+            var independent = i === 0 || (known && names !== null &&
+                                          names.every((name) => !mentioned.has(name)));
+
+            if (names === null) {
+                known = false;
+            } else {
+                var compiler = query.app.compiler;
+                names.forEach((name) => {
+                    if (!(name in compiler.params) && !(name in compiler.keywords))
+                        mentioned.add(name);
+                });
+            }
+            return independent;
+        });
+    }
+
+    // run the queries of a rule or command one after the other, calling
+    // cont with each combination of their results, and return a promise
+    // that resolves when the first query is done (the rest is tracked in
+    // execution)
+    //
+    // the independent queries (see findIndependent()) start right away,
+    // after the first one, so that they run at the same time as the ones
+    // before them; if no result reaches them, the calls that did not start
+    // yet are skipped and the others are ignored, and neither counts toward
+    // the usage of the app; with a limit of one call at a time nothing
+    // starts ahead
+    static runAll(queries, independent, env, execution, cont) {
+        var limiter = QueryExecutor.makeLimiter(execution.app);
+        var prefetched = queries.map((query, i) => {
+            if (!independent[i] || (i > 0 && limiter.max <= 1))
+                return null;
+            return query._prefetch(env, limiter);
+        });
+
+        // how many invocations of each query are in progress; a query
+        // can only be invoked while one of those before it is
+        var running = queries.map(() => 0);
+        var settle = (i) => {
+            running[i]--;
+            var before = 0;
+            prefetched.forEach((entry, k) => {
+                if (k > 0)
+                    before += running[k-1];
+                if (entry !== null && before === 0 && !entry.used)
+                    entry.cancelled = true;
+            });
+        };
+
+        var loop = (env, i) => {
+            if (i === queries.length)
+                return cont(env);
+
+            running[i]++;
+            var entry = prefetched[i];
+            if (entry !== null)
+                entry.used = true;
+            return Q.try(() => {
+                return queries[i].invoke(env, execution, (env) => loop(env, i+1), entry, limiter);
+            }).finally(() => settle(i));
+        };
+        return loop(env, 0);
+    }
+
+    // app state options can be given for all queries, or as an object
+    // keyed by query name
+    _getOption(name) {
+        var option = this.app.state[name];
+        if (option !== null && typeof option === 'object')
+            return option[this._query.invocation.name];
+        else
+            return option;
+    }
+
+    _evaluateArgs(env) {
+        return this._query.invocation.params.map(function(f) {
+            return f(env);
+        });
+    }
+
+    // start the query ahead of time, for runAll(); this only works if
+    // the arguments don't depend on the other queries
+    _prefetch(env, limiter) {
+        var args;
+        try {
+            args = this._evaluateArgs(env);
+        } catch(e) {
+            // invoke() will report it
+            return null;
+        }
+
+        var entry = { started: null, used: false, cancelled: false, counted: false };
+        entry.started = this._start(args, limiter, entry);
+        return entry;
+    }
+
+    // channels that support pagination implement invokeQueryPage(args, continuation),
+    // which returns { rows: [...], continuation: ... }, with a null continuation
+    // for the last page
+    _fetchPage(ch, args, continuation) {
+        var promise;
+        if (this._paginate && typeof ch.invokeQueryPage === 'function')
+            promise = Q(ch.invokeQueryPage(args, continuation));
+        else
+            promise = Q(ch.invokeQuery(args)).then((rows) => ({ rows: rows, continuation: null }));
+
+        return promise.timeout(this._timeout, 'Query ' + this._query.invocation.name + ' on ' + ch.uniqueId
+                               + ' did not reply within ' + this._timeout + ' ms');
+    }
+
+    // start the query on all channels, and return a map from each channel
+    // to the promise of its first page; prefetched is the entry from
+    // _prefetch(), if any
+    _start(args, limiter, prefetched) {
+        var started = new Map;
+        this._selector.values().forEach((ch) => {
+            started.set(ch, limiter.run(() => {
+                // nobody is waiting for these results anymore
+                if (prefetched && prefetched.cancelled)
+                    return { rows: [], continuation: null };
+                return this._fetchPage(ch, args, null);
+            }));
+        });
+        return started;
+    }
+
+    _recordUsage(started) {
+        started.forEach(() => this.app.recordUsage('queries'));
     }
 
-    invoke(env, cont) {
+    _invokeChannel(ch, env, args, execution, cont, firstPage, limiter) {
+        var count = 0;
+        var truncated = false;
+
+        var processRows = (rows) => {
+            rows.forEach((row) => {
+                var clone = env.clone();
+                clone.currentChannel = ch;
+                clone.queryInput = args;
+                clone.queryValue = row;
+                this._query.caller(clone, () => {
+                    count++;
+                    if (count > this._limit) {
+                        truncated = true;
+                        return;
+                    }
+                    execution.addQueryResult(ch.uniqueId, args, row);
+                    return execution.track(cont(clone));
+                });
+            });
+        };
+
+        var processPage = (promise, page) => {
+            return promise.then((result) => {
+                processRows(result.rows);
+                if (!result.continuation)
+                    return;
+                if (count >= this._limit || page+1 >= MAX_PAGES) {
+                    // there might be more, we don't know
+                    truncated = true;
+                    return;
+                }
+                var next = limiter.run(() => this._fetchPage(ch, args, result.continuation));
+                return processPage(next, page+1);
+            });
+        };
+
+        return processPage(firstPage, 0).then(() => {
+            if (!truncated)
+                return;
+
+            console.log('Results of ' + this._query.invocation.name + ' on ' + ch.uniqueId + ' in '
+                        + this.app.uniqueId + ' were truncated to ' + this._limit);
+            this.engine.stats.hit('query-truncated');
+            execution.addWarning('Results from ' + ch.uniqueId + ' were truncated to ' + this._limit);
+        });
+    }
+
+    // prefetched is the entry for this query from _prefetch(), if any,
+    // and limiter is shared by all the calls of the execution
+    invoke(env, execution, cont, prefetched, limiter) {
         // keep our parent alive for the duration of the call
         return this._parent.open().then(() => {
-            var args = this._query.invocation.params.map(function(f) {
-                return f(env);
-            });
+            var args = this._evaluateArgs(env);
+
+            // the prefetched query does not depend on env, so it has the
+            // same arguments, and it can be reused for every result of
+            // the queries before it
+            var started;
+            if (prefetched) {
+                started = prefetched.started;
+                if (!prefetched.counted) {
+                    prefetched.counted = true;
+                    this._recordUsage(started);
+                }
+            } else {
+                started = this._start(args, limiter);
+                this._recordUsage(started);
+            }
 
-            return Q.all(this._selector.values().map((ch) => {
+            return Q.all(Array.from(started).map((entry) => {
+                var ch = entry[0];
                 return Q.try(() => {
-                    return Q(ch.invokeQuery(args)).then((rows) => {
-                        var max = 10;
-                        rows.forEach((row) => {
-                            var clone = env.clone();
-                            clone.currentChannel = ch;
-                            clone.queryInput = args;
-                            clone.queryValue = row;
-                            this._query.caller(clone, () => {
-                                max--;
-                                if (max < 0)
-                                    return;
-                                return cont(clone);
-                            });
-                        });
-                    });
+                    return this._invokeChannel(ch, env, args, execution, cont, entry[1], limiter);
                 }).catch((e) => {
                     console.error('Error during query run in ' + this.app.uniqueId + ': ' + e.message);
-                    this.app.reportError(e);
+                    execution.addError(e);
+                    this.app.reportError(e, 'query', ch.uniqueId);
                 });
             }));
         }).finally(() => {
@@ -65,7 +304,7 @@ module.exports = class QueryExecutor {
         return this._selector.start().catch(function(e) {
             console.error('Error while setting up query: ' + e.message);
             console.error(e.stack);
-            this.app.reportError(e);
+            this.app.reportError(e, 'open', null);
         }.bind(this));
     }
 }
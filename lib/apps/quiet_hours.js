@@ -0,0 +1,136 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Timezone = require('../util/timezone');
+
+// Engine-wide quiet hours, during which app notifications are held back
+// and then delivered all together
+//
+// The setting and the held notifications live in the shared preferences,
+// so they survive a restart
+module.exports = class QuietHours {
+    constructor(engine) {
+        this._engine = engine;
+        this._prefs = engine.platform.getSharedPreferences();
+        this._timeout = null;
+    }
+
+    start() {
+        this._scheduleFlush();
+    }
+
+    stop() {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+    }
+
+    // returns { start: 'HH:MM', end: 'HH:MM' }, or null if there are
+    // no quiet hours
+    get() {
+        return this._prefs.get('quiet-hours') || null;
+    }
+
+    set(start, end) {
+        if (start === null || start === undefined) {
+            this._prefs.set('quiet-hours', null);
+        } else {
+            // validate before saving
+            Timezone.parseTimeOfDay(start);
+            Timezone.parseTimeOfDay(end);
+            this._prefs.set('quiet-hours', { start: start, end: end });
+        }
+
+        // deliver right away anything that is no longer quiet
+        this._flush();
+    }
+
+    _getMinutes(date) {
+        var local = Timezone.getLocalTime(date, this._engine.platform.timezone);
+        return local.hour * 60 + local.minute;
+    }
+
+    isQuiet(date) {
+        var setting = this.get();
+        if (setting === null)
+            return false;
+
+        var start = Timezone.parseTimeOfDay(setting.start);
+        var end = Timezone.parseTimeOfDay(setting.end);
+        var minutes = this._getMinutes(date);
+        if (start <= end)
+            return minutes >= start && minutes < end;
+        else
+            return minutes >= start || minutes < end;
+    }
+
+    _getQuietEnd(date) {
+        var setting = this.get();
+        var timezone = this._engine.platform.timezone;
+        var local = Timezone.getLocalTime(date, timezone);
+        var end = Timezone.parseTimeOfDay(setting.end);
+
+        var time = Timezone.fromLocalTime(local.year, local.month, local.day, 0, end, 0, timezone);
+        if (time <= date)
+            time = Timezone.fromLocalTime(local.year, local.month, local.day + 1, 0, end, 0, timezone);
+        return time;
+    }
+
+    _getHeld() {
+        return this._prefs.get('quiet-hours-held') || [];
+    }
+
+    _scheduleFlush() {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+        if (this._getHeld().length === 0)
+            return;
+
+        var now = new Date;
+        if (!this.isQuiet(now)) {
+            this._flush();
+            return;
+        }
+        this._timeout = setTimeout(() => {
+            this._timeout = null;
+            this._flush();
+        }, this._getQuietEnd(now).getTime() - now.getTime());
+    }
+
+    _flush() {
+        var held = this._getHeld();
+        if (held.length === 0)
+            return;
+        if (this.isQuiet(new Date)) {
+            this._scheduleFlush();
+            return;
+        }
+
+        console.log('Quiet hours are over, delivering ' + held.length + ' notifications');
+        this._prefs.set('quiet-hours-held', []);
+        var assistant = this._engine.platform.getCapability('assistant');
+        held.forEach((args) => {
+            assistant.notify(args);
+        });
+    }
+
+    // send a notification through the assistant, or hold it back until
+    // the end of the quiet hours
+    notify(args) {
+        if (!this.isQuiet(new Date)) {
+            this._engine.platform.getCapability('assistant').notify(args);
+            return;
+        }
+
+        var held = this._getHeld();
+        held.push(args);
+        this._prefs.set('quiet-hours-held', held);
+        if (this._timeout === null)
+            this._scheduleFlush();
+    }
+}
@@ -14,22 +14,53 @@ const ChannelOpener = require('./channel_opener');
 const RateLimiter = require('../util/rate_limiter');
 const ActionExecutor = require('./action_executor');
 const QueryExecutor = require('./query_executor');
+const Execution = require('./execution');
+const Schedule = require('./schedule');
 const RefCounted = require('../util/ref_counted');
 
+// rate limit to 1 per second, with a burst of 300
+const DEFAULT_BURST = 300;
+const DEFAULT_INTERVAL = 300 * 1000;
+// how many triggers we hold back at most while waiting for the next window
+const MAX_DEFERRED = 100;
+
 module.exports = class RuleExecutor extends RefCounted {
-    constructor(engine, app, rule) {
+    constructor(engine, app, rule, index) {
         super();
         this.engine = engine;
         this.app = app;
-        // rate limit to 1 per second, with a burst of 300
-        this._rateLimiter = new RateLimiter(300, 300 * 1000);
 
-        this.input = new TriggerRunner(engine, this.app, rule.inputs);
+        // apps can override the rate limit with { burst: ..., interval: ... }
+        // in their state
+        var rateLimit = app.state.$rateLimit || {};
+        var burst = typeof rateLimit.burst === 'number' && rateLimit.burst > 0 ? rateLimit.burst : DEFAULT_BURST;
+        var interval = typeof rateLimit.interval === 'number' && rateLimit.interval > 0 ? rateLimit.interval : DEFAULT_INTERVAL;
+        this._rateLimiter = new RateLimiter(burst, interval);
+        this._rateInterval = interval;
+        // when we last told the user that events were dropped
+        this._throttleNoticeTime = 0;
+
+        // apps can restrict when they fire with a $schedule in their state
+        if (app.state.$schedule)
+            this._schedule = new Schedule(app.state.$schedule, engine.platform.timezone);
+        else
+            this._schedule = null;
+        this._deferred = [];
+        this._deferTimeout = null;
+
+        // the executions in progress, mapped to the promise of their
+        // completion, and whether we stopped taking new ones because
+        // the engine is shutting down
+        this._executions = new Map;
+        this._draining = false;
+
+        this.input = new TriggerRunner(engine, this.app, rule.inputs, index);
         this.input.on('triggered', this._onTriggered.bind(this));
 
         this.queries = rule.queries.map((query) => {
             return new QueryExecutor(engine, app, this, query);
         });
+        this._independentQueries = QueryExecutor.findIndependent(this.queries);
         this.outputs = rule.outputs.map((out) => {
             return new ActionExecutor(engine, app, this, out);
         });
@@ -37,29 +68,152 @@ module.exports = class RuleExecutor extends RefCounted {
         this.everything = this.queries.concat(this.outputs);
     }
 
-    _runQueries(env, cont) {
-        function loop(queries, env, i, cont) {
-            if (i === queries.length)
-                return cont(env);
+    _runQueries(env, execution, cont) {
+        return QueryExecutor.runAll(this.queries, this._independentQueries, env, execution, cont);
+    }
 
-            return queries[i].invoke(env, function(env) {
-                return loop(queries, env, i+1, cont);
+    // with dryRun, the actions are recorded in the execution but not
+    // executed, as in a simulated app
+    _execute(env, dryRun) {
+        var execution = new Execution(this.app, env.triggerValue);
+        if (dryRun)
+            execution.isSimulated = true;
+        execution.track(this._runQueries(env, execution, (env) => {
+            this.outputs.forEach((out) => {
+                execution.track(out.execute(env, execution));
             });
+        }));
+        var promise = execution.wait().then(() => {
+            this._executions.delete(execution);
+            // drain() already recorded it
+            if (execution.isInterrupted)
+                return;
+
+            // a dry run did not really fire the rule, so it tells nothing
+            // about the usage or the health of the app
+            if (!dryRun) {
+                this.app.recordUsage('runtime', execution.duration);
+                if (execution.errors.length === 0)
+                    this.app.reportSuccess();
+            }
+            return this.engine.apps.recordExecution(execution);
+        }).then(() => execution);
+        this._executions.set(execution, promise);
+        return promise;
+    }
+
+    _interrupt(execution) {
+        var actions = execution.unfinishedActions;
+        console.log('Execution in ' + this.app.uniqueId + ' did not finish before shutdown, '
+                    + actions.length + ' actions are saved');
+        execution.isInterrupted = true;
+        execution.addError(new Error('Interrupted by shutdown'));
+
+        // an action that the channel is still working on might complete
+        // after this, so only the user can tell if it should be sent again
+        return Q.all(actions.map((action) => {
+            return this.engine.apps.saveInterruptedAction(this.app, action.target, action.value,
+                                                          execution.isActionSending(action));
+        })).then(() => {
+            return this.engine.apps.recordExecution(execution);
+        });
+    }
+
+    // refuse new triggers, and wait for the executions in progress, up
+    // to timeout ms; those that are still running after that are recorded
+    // as interrupted, and their pending actions are saved as dead letters
+    drain(timeout) {
+        this._draining = true;
+        clearTimeout(this._deferTimeout);
+        this._deferTimeout = null;
+
+        if (this._executions.size === 0)
+            return Q();
+
+        console.log('Waiting for ' + this._executions.size + ' executions in ' + this.app.uniqueId);
+        return Q.allSettled(Array.from(this._executions.values())).timeout(timeout).catch(() => {
+            return Q.all(Array.from(this._executions.keys()).map((e) => this._interrupt(e)));
+        });
+    }
+
+    // through the app database, so that it waits for the end of the
+    // quiet hours like any other notification
+    _notifyThrottled() {
+        if (!this.engine.platform.hasCapability('assistant'))
+            return;
+
+        var message = this.engine._("%s is receiving too many events, some of them will be ignored.").format(this.app.name);
+        this.engine.apps.notify([this.app.uniqueId, this.app.icon, message]);
+    }
+
+    _defer(env) {
+        if (this._deferred.length >= MAX_DEFERRED) {
+            console.log('Too many deferred triggers in ' + this.app.uniqueId + ', dropping one');
+            this._deferred.shift();
         }
+        this._deferred.push(env);
+        if (this._deferTimeout !== null)
+            return;
 
-        return loop(this.queries, env, 0, cont);
+        var now = new Date;
+        var next = this._schedule.nextActiveTime(now);
+        if (next === null)
+            return;
+        this._deferTimeout = setTimeout(() => {
+            this._deferTimeout = null;
+            this._runDeferred();
+        }, next.getTime() - now.getTime());
+    }
+
+    _runDeferred() {
+        var deferred = this._deferred;
+        this._deferred = [];
+        console.log('Running ' + deferred.length + ' deferred triggers in ' + this.app.uniqueId);
+        deferred.forEach((env) => {
+            this._execute(env).done();
+        });
     }
 
     _onTriggered(env) {
+        if (this._draining) {
+            this.engine.stats.hit('rule-refused-shutdown');
+            return;
+        }
+        this.app.recordUsage('triggers');
+
+        if (this._schedule !== null && !this._schedule.isActive(new Date)) {
+            if (this._schedule.outside === 'defer')
+                this._defer(env);
+            return;
+        }
+
         // check if this trigger was rate limited, and do nothing if so
         // don't even log - as logging could clog the server alone
-        if (!this._rateLimiter.hit())
+        if (!this._rateLimiter.hit()) {
+            this.engine.stats.hit('rule-throttled');
+            this.engine.stats.hit('rule-throttled-' + this.app.uniqueId);
+
+            // tell the user at most once per rate limit interval, even if
+            // some events go through in between
+            var now = Date.now();
+            if (now - this._throttleNoticeTime > this._rateInterval) {
+                this._throttleNoticeTime = now;
+                this._notifyThrottled();
+            }
             return;
+        }
 
-        this._runQueries(env, (env) => {
-            this.outputs.forEach((out) => {
-                out.execute(env);
-            });
+        this._execute(env).done();
+    }
+
+    // run the rule on the given trigger value, and return whether the
+    // value passed the filter of the rule, as { matched, executions }
+    injectTrigger(value, dryRun) {
+        if (this._draining)
+            return Q.reject(new Error('The engine is shutting down'));
+        var matched = this.input.injectTrigger(value);
+        return Q.all(matched.map((env) => this._execute(env, dryRun))).then((executions) => {
+            return { matched: matched.length > 0, executions: executions };
         });
     }
 
@@ -70,10 +224,20 @@ module.exports = class RuleExecutor extends RefCounted {
     }
 
     start() {
+        this._draining = false;
         this.input.start().done();
     }
 
     stop() {
+        // triggers waiting for the next window are lost: they hold the
+        // environment of the rule, with its channels, which we cannot save
+        if (this._deferred.length > 0) {
+            console.log('Dropping ' + this._deferred.length + ' deferred triggers in ' + this.app.uniqueId);
+            this.engine.stats.hit('rule-deferred-dropped');
+        }
+        clearTimeout(this._deferTimeout);
+        this._deferTimeout = null;
+        this._deferred = [];
         return this.input.stop();
     }
 
@@ -9,6 +9,9 @@
 
 const Q = require('q');
 
+// how long we wait at most for rules to finish when shutting down, in ms
+const DRAIN_TIMEOUT = 10000;
+
 module.exports = class AppRunner {
     constructor(appdb) {
         this._db = appdb;
@@ -29,9 +32,14 @@ module.exports = class AppRunner {
             console.log('App ' + a.uniqueId  + ' is not enabled');
             return Q();
         }
+        if (a.isSuspended) {
+            console.log('App ' + a.uniqueId  + ' is suspended');
+            return Q();
+        }
 
         return a.start().then(function() {
             a.isRunning = true;
+            a.emit('started');
             console.log('App ' + a.uniqueId  + ' started');
         }).timeout(30000, 'Timed out').catch(function(e) {
             console.error('App failed to start: ' + e);
@@ -41,10 +49,11 @@ module.exports = class AppRunner {
 
     _stopOneApp(a) {
         if (!a.isRunning)
-            return;
+            return Q();
 
         return a.stop().then(function() {
             a.isRunning = false;
+            a.emit('stopped');
             console.log('App ' + a.uniqueId  + ' stopped');
         }).timeout(30000, 'Timed out').catch(function(e) {
             console.error('App failed to stop: ' + e);
@@ -53,9 +62,10 @@ module.exports = class AppRunner {
     }
 
     _onAppChanged(a) {
-        if (a.isRunning && !a.isEnabled)
+        var shouldRun = a.isEnabled && !a.isSuspended;
+        if (a.isRunning && !shouldRun)
             this._stopOneApp(a).done();
-        else if (a.isEnabled && !a.isRunning)
+        else if (shouldRun && !a.isRunning)
             this._startOneApp(a).done();
     }
 
@@ -64,10 +74,22 @@ module.exports = class AppRunner {
             this._db.on('app-added', this._startOneApp.bind(this));
             this._db.on('app-removed', this._stopOneApp.bind(this));
             this._db.on('app-changed', this._onAppChanged.bind(this));
+
+            // don't hold up the engine while the devices reply
+            this._db.replayInterruptedActions().done();
         });
     }
 
+    _drainAllApps() {
+        var apps = this._db.getAllApps().filter((a) => a.isRunning);
+        return Q.all(apps.map((a) => {
+            return a.drain(DRAIN_TIMEOUT).catch((e) => {
+                console.error('App ' + a.uniqueId + ' failed to drain: ' + e);
+            });
+        }));
+    }
+
     stop() {
-        return this._stopAllApps();
+        return this._drainAllApps().then(() => this._stopAllApps());
     }
 }
@@ -0,0 +1,86 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Timezone = require('../util/timezone');
+
+// A weekly schedule of when an app is allowed to fire
+//
+// The schedule is given in the app state as
+// { days: [0-6], ranges: [['HH:MM', 'HH:MM']], outside: 'drop' | 'defer' }
+// where days are days of the week (0 is Sunday) and ranges are times of the
+// day, in the platform timezone; both are optional and default to
+// "always". A range that ends before it starts goes past midnight, and
+// belongs to the day it starts on.
+//
+// Outside of the schedule, triggers are dropped, or with 'defer' held in
+// memory until the next active time; deferred triggers are not saved, so
+// they are lost if the app or the engine stops before then.
+module.exports = class Schedule {
+    constructor(schedule, timezone) {
+        this._timezone = timezone;
+
+        if (Array.isArray(schedule.days)) {
+            this._days = schedule.days.filter((d) => typeof d === 'number' && d >= 0 && d <= 6);
+        } else {
+            this._days = [0, 1, 2, 3, 4, 5, 6];
+        }
+        if (Array.isArray(schedule.ranges) && schedule.ranges.length > 0) {
+            this._ranges = schedule.ranges.map((range) => {
+                return { start: Timezone.parseTimeOfDay(range[0]),
+                         end: Timezone.parseTimeOfDay(range[1]) };
+            });
+        } else {
+            this._ranges = [{ start: 0, end: 24 * 60 }];
+        }
+        this.outside = schedule.outside === 'defer' ? 'defer' : 'drop';
+    }
+
+    _hasDay(day) {
+        return this._days.indexOf(day) >= 0;
+    }
+
+    isActive(date) {
+        var local = Timezone.getLocalTime(date, this._timezone);
+        var minutes = local.hour * 60 + local.minute;
+        var yesterday = (local.dayOfWeek + 6) % 7;
+
+        return this._ranges.some((range) => {
+            if (range.start <= range.end)
+                return this._hasDay(local.dayOfWeek) && minutes >= range.start && minutes < range.end;
+            else
+                return (this._hasDay(local.dayOfWeek) && minutes >= range.start) ||
+                    (this._hasDay(yesterday) && minutes < range.end);
+        });
+    }
+
+    // the earliest time after date at which a window opens, or null
+    // if the schedule is never active
+    nextActiveTime(date) {
+        var local = Timezone.getLocalTime(date, this._timezone);
+
+        var best = null;
+        // a week and a day covers all windows, including those that
+        // started yesterday
+        for (var i = 0; i <= 7; i++) {
+            var day = (local.dayOfWeek + i) % 7;
+            if (!this._hasDay(day))
+                continue;
+
+            this._ranges.forEach((range) => {
+                var start = Timezone.fromLocalTime(local.year, local.month, local.day + i,
+                                                   0, range.start, 0, this._timezone);
+                if (start > date && (best === null || start < best))
+                    best = start;
+            });
+            if (best !== null)
+                break;
+        }
+        return best;
+    }
+}
@@ -14,15 +14,65 @@ const ThingTalk = require('thingtalk');
 const Ast = ThingTalk.Ast;
 const ExecWrapper = require('./exec_wrapper');
 const ChannelOpener = require('./channel_opener');
+const ChannelStateDatabase = require('../db/channel');
+const ChannelStateBinder = require('../devices/channel_state_binder');
+
+// $triggerMode in the app state is 'always' (the default), 'change' or
+// { debounce: seconds }, either for all rules or as an array with one
+// entry per rule
+function getTriggerMode(state, ruleIndex) {
+    var mode = state.$triggerMode;
+    if (Array.isArray(mode))
+        mode = mode[ruleIndex];
+
+    if (mode === 'change')
+        return { type: 'change' };
+    if (mode && typeof mode.debounce === 'number' && mode.debounce > 0)
+        return { type: 'debounce', interval: mode.debounce * 1000 };
+    return { type: 'always' };
+}
+
+// how many events we keep at most in a window, regardless of its size
+const MAX_WINDOW_EVENTS = 1000;
+
+// $window in the app state keeps a sliding window of the recent events
+// of each channel, and before evaluating the rule it stores
+// [count, sum, average, minimum, maximum] of the events in the window
+// into a keyword, so that filters and outputs can use it; it looks like
+// { keyword: name, size: seconds, field: index in the event of the
+// value to aggregate (default 0) }, and like $triggerMode it can be
+// given for all rules or as an array
+function getWindow(state, ruleIndex) {
+    var window = state.$window;
+    if (Array.isArray(window))
+        window = window[ruleIndex];
+
+    if (!window || typeof window.keyword !== 'string' || !(window.size > 0))
+        return null;
+    return { keyword: window.keyword,
+             size: window.size * 1000,
+             field: typeof window.field === 'number' ? window.field : 0 };
+}
 
 module.exports = class TriggerRunner extends events.EventEmitter {
-    constructor(engine, app, input) {
+    constructor(engine, app, input, ruleIndex) {
         super();
         this.engine = engine;
 
         this.app = app;
         this._state = app.state;
 
+        this._mode = getTriggerMode(app.state, ruleIndex);
+        this._window = getWindow(app.state, ruleIndex);
+        this._windowKeyword = null;
+        this._ruleIndex = ruleIndex;
+        // the last evaluation result for each channel, for the 'change' and
+        // 'debounce' modes, and the windows of recent events
+        this._ruleState = null;
+        this._debounceTimeouts = {};
+        // the environments that matched last, for each pending timeout
+        this._debounceMatched = {};
+
         this._trigger = input.invocation;
         this._input = input;
 
@@ -38,6 +88,8 @@ module.exports = class TriggerRunner extends events.EventEmitter {
         this._env = new ExecWrapper(this.engine, app, input.keywords);
 
         this._ready = false;
+        this._channelAddedListener = this._channelAdded.bind(this);
+        this._channelRemovedListener = this._channelRemoved.bind(this);
     }
 
     _normalizeParams(params) {
@@ -63,7 +115,9 @@ module.exports = class TriggerRunner extends events.EventEmitter {
         });
     }
 
-    _onTriggerData(from) {
+    // isNew is true for events the channel just emitted, and false when
+    // we look again at the last one, which the window already has
+    _onTriggerData(from, isNew) {
         if (from.event === null) // fast path
             return;
 
@@ -72,13 +126,15 @@ module.exports = class TriggerRunner extends events.EventEmitter {
         env.currentChannel = from;
         env.triggerValue = from.event;
 
+        if (this._window !== null && isNew)
+            this._updateWindow(env);
         this._checkQuery(env);
     }
 
     _onInitialSample() {
         if (this._selector) {
             this._selector.values().forEach(function(ch) {
-                this._onTriggerData(ch);
+                this._onTriggerData(ch, false);
             }, this);
         } else {
             var env = this._env.clone();
@@ -86,26 +142,162 @@ module.exports = class TriggerRunner extends events.EventEmitter {
         }
     }
 
+    get hasTrigger() {
+        return !!this._trigger;
+    }
+
+    // the last event emitted by any of the trigger channels, or null
+    getLastEvent() {
+        if (!this._selector)
+            return null;
+
+        var channel = this._selector.values().find((ch) => ch.event !== undefined && ch.event !== null);
+        return channel !== undefined ? channel.event : null;
+    }
+
+    // evaluate the rule condition on a trigger value that was not
+    // emitted by any channel, and return the environments that matched
+    injectTrigger(value) {
+        var env = this._env.clone();
+        if (this._trigger)
+            env.triggerValue = value;
+
+        var matched = [];
+        this._evaluate(env, function() {
+            matched.push(env);
+        });
+        return matched;
+    }
+
     _checkQuery(env) {
-        try {
-            this._input.caller(env, function() {
+        if (this._mode.type === 'always') {
+            this._evaluate(env, function() {
                 console.log('Rule triggered');
                 this.emit('triggered', env);
             }.bind(this));
+            return;
+        }
+
+        var matched = [];
+        var ok = this._evaluate(env, function() {
+            matched.push(env);
+        });
+        if (!ok)
+            return;
+
+        var key = env.currentChannel ? env.currentChannel.uniqueId : '$rule';
+        var previous = !!this._ruleState.get(key);
+        var current = matched.length > 0;
+        this._ruleState.set(key, current);
+
+        if (this._mode.type === 'change') {
+            if (current && !previous) {
+                console.log('Rule triggered (on change)');
+                matched.forEach((env) => this.emit('triggered', env));
+            }
+        } else {
+            // fire only after the condition stayed true for the whole
+            // interval, with the values of the last event; events that
+            // keep it true don't restart the interval
+            if (!current) {
+                clearTimeout(this._debounceTimeouts[key]);
+                delete this._debounceTimeouts[key];
+                delete this._debounceMatched[key];
+                return;
+            }
+
+            this._debounceMatched[key] = matched;
+            if (this._debounceTimeouts[key] === undefined) {
+                this._debounceTimeouts[key] = setTimeout(() => {
+                    var latest = this._debounceMatched[key];
+                    delete this._debounceTimeouts[key];
+                    delete this._debounceMatched[key];
+                    console.log('Rule triggered (debounced)');
+                    latest.forEach((env) => this.emit('triggered', env));
+                }, this._mode.interval);
+            }
+        }
+    }
+
+    // returns false if the evaluation failed
+    _evaluate(env, callback) {
+        try {
+            this._input.caller(env, callback);
+            return true;
         } catch(e) {
             console.error('Error during trigger run in ' + this.app.uniqueId + ': ' + e.message);
             console.error(e.stack);
-            this.app.reportError(e);
+            this.app.reportError(e, 'trigger', env.currentChannel ? env.currentChannel.uniqueId : null);
+            return false;
         }
     }
 
+    _updateWindow(env) {
+        // the keyword failed to open, and start() already reported it
+        if (this._windowKeyword === null)
+            return;
+
+        var key = 'window-' + (env.currentChannel ? env.currentChannel.uniqueId : '$rule');
+        var now = Date.now();
+
+        var events = (this._ruleState.get(key) || []).filter((e) => now - e.time < this._window.size);
+        var value = Array.isArray(env.triggerValue) ? env.triggerValue[this._window.field] : undefined;
+        events.push({ time: now, value: typeof value === 'number' ? value : null });
+        if (events.length > MAX_WINDOW_EVENTS)
+            events.splice(0, events.length - MAX_WINDOW_EVENTS);
+        this._ruleState.set(key, events);
+
+        // events without a numeric value only count
+        var numbers = events.map((e) => e.value).filter((v) => v !== null);
+        var sum = numbers.reduce((a, b) => a + b, 0);
+        var aggregate;
+        if (numbers.length > 0)
+            aggregate = [events.length, sum, sum / numbers.length, Math.min.apply(null, numbers), Math.max.apply(null, numbers)];
+        else
+            aggregate = [events.length, 0, 0, 0, 0];
+        this._windowKeyword.changeValue(aggregate);
+    }
+
+    _openRuleState() {
+        if (this._mode.type === 'always' && this._window === null)
+            return Q();
+
+        this._ruleState = new ChannelStateBinder(new ChannelStateDatabase(this.engine.platform));
+        this._ruleState.init(this.app.uniqueId + '-rule-' + this._ruleIndex);
+        return this._ruleState.open().then(() => {
+            if (this._window === null)
+                return;
+            return this.engine.keywords.getOpenedKeyword(this.app.uniqueId, this._window.keyword).then((kw) => {
+                this._windowKeyword = kw;
+            });
+        });
+    }
+
+    _closeRuleState() {
+        for (var key in this._debounceTimeouts)
+            clearTimeout(this._debounceTimeouts[key]);
+        this._debounceTimeouts = {};
+        this._debounceMatched = {};
+
+        if (this._ruleState === null)
+            return Q();
+        var state = this._ruleState;
+        this._ruleState = null;
+        var keyword = this._windowKeyword;
+        this._windowKeyword = null;
+        return state.close().then(() => {
+            if (keyword !== null)
+                return keyword.close();
+        });
+    }
+
     _channelAdded(ch) {
         ch.on('data', this._dataListener);
 
         // if this channel was added when the query was already running sample the new data
         // from it
         if (this._ready)
-            this._onTriggerData(ch);
+            this._onTriggerData(ch, false);
     }
 
     _channelRemoved(ch) {
@@ -113,27 +305,39 @@ module.exports = class TriggerRunner extends events.EventEmitter {
     }
 
     stop() {
+        this._ready = false;
+        if (!this._selector)
+            return this._env.stop().then(() => this._closeRuleState());
+
         return this._selector.stop().then(() => {
+            // the rule can be started again later (eg. when the app is
+            // disabled and then enabled again), so drop our listeners
+            this._selector.removeListener('object-added', this._channelAddedListener);
+            this._selector.removeListener('object-removed', this._channelRemovedListener);
             return this._env.stop();
-        });
+        }).then(() => this._closeRuleState());
     }
 
     start() {
         var self = this;
         this._dataListener = function(data) {
             var from = this;
-            self._onTriggerData(from, data);
+            self._onTriggerData(from, true);
         };
 
-        return this._env.start().then(function() {
-            this._selector.on('object-added', this._channelAdded.bind(this));
-            this._selector.on('object-removed', this._channelRemoved.bind(this));
+        return this._openRuleState().then(() => {
+            return this._env.start();
+        }).then(function() {
+            if (!this._selector)
+                return;
+            this._selector.on('object-added', this._channelAddedListener);
+            this._selector.on('object-removed', this._channelRemovedListener);
 
             return this._selector.start();
         }.bind(this)).catch(function(e) {
             console.error('Error while setting up query: ' + e.message);
             console.error(e.stack);
-            this.app.reportError(e);
+            this.app.reportError(e, 'open', null);
         }.bind(this)).then(function() {
             this._ready = true;
             this._onInitialSample();
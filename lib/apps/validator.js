@@ -0,0 +1,57 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+// Checks on the state that apps are installed with, against the
+// parameters declared by the program
+
+function checkValue(type, value) {
+    if (type.isDate)
+        return typeof value === 'number' && isFinite(value);
+    if (type.isNumber || type.isMeasure)
+        return typeof value === 'number';
+    if (type.isBoolean)
+        return typeof value === 'boolean';
+    if (type.isString || type.isPhoneNumber || type.isEmailAddress || type.isURL ||
+        type.isUsername || type.isHashtag || type.isPicture)
+        return typeof value === 'string';
+    if (type.isLocation)
+        return value !== null && typeof value === 'object' &&
+            typeof value.x === 'number' && typeof value.y === 'number';
+    if (type.isArray)
+        return Array.isArray(value);
+    // anything else we cannot check here
+    return true;
+}
+
+// return a list of { param, type, error } for the parameters that are
+// missing or have the wrong type, where error is 'missing' or 'invalid'
+function checkState(params, state) {
+    var errors = [];
+    for (var name in params) {
+        var type = params[name];
+        var value = state[name];
+        if (value === undefined || value === null)
+            errors.push({ param: name, type: String(type), error: 'missing' });
+        else if (!checkValue(type, value))
+            errors.push({ param: name, type: String(type), error: 'invalid' });
+    }
+    return errors;
+}
+
+function makeError(errors) {
+    var error = new Error('Invalid app parameters: ' + errors.map((e) => e.param + ' is ' + e.error).join(', '));
+    error.code = 'EINVALIDPARAMS';
+    error.errors = errors;
+    return error;
+}
+
+module.exports = {
+    checkState: checkState,
+    makeError: makeError
+};
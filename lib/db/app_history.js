@@ -0,0 +1,79 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Q = require('q');
+
+const sql = require('./sqlite');
+
+function parseRow(row) {
+    return {
+        id: row.id,
+        appId: row.appId,
+        startTime: row.startTime,
+        duration: row.duration,
+        triggerValue: JSON.parse(row.triggerValue),
+        queries: JSON.parse(row.queries),
+        actions: JSON.parse(row.actions),
+        errors: JSON.parse(row.errors),
+        warnings: JSON.parse(row.warnings)
+    };
+}
+
+module.exports = class AppHistoryDatabase {
+    constructor(platform) {
+        this._db = sql.db(platform.getSqliteDB(), platform.getSqliteKey());
+    }
+
+    getAll(appId, startTime, endTime) {
+        var conditions = [];
+        var params = [];
+        if (appId !== null) {
+            conditions.push('appId = ?');
+            params.push(appId);
+        }
+        if (startTime !== null) {
+            conditions.push('startTime >= ?');
+            params.push(startTime);
+        }
+        if (endTime !== null) {
+            conditions.push('startTime <= ?');
+            params.push(endTime);
+        }
+
+        var query = 'select * from app_history';
+        if (conditions.length > 0)
+            query += ' where ' + conditions.join(' and ');
+        query += ' order by id desc';
+
+        return this._db.withClient((dbClient) => {
+            return sql.selectAll(dbClient, query, params).then((rows) => rows.map(parseRow));
+        });
+    }
+
+    // insert one entry, and drop the oldest ones so that at most maxSize
+    // are left
+    insertOne(entry, maxSize) {
+        return this._db.withTransaction((dbClient) => {
+            var insertSql = 'insert into app_history(appId, startTime, duration, triggerValue, queries, actions, errors, warnings)' +
+                ' values(?,?,?,?,?,?,?,?)';
+            var param = [entry.appId, entry.startTime, entry.duration, JSON.stringify(entry.triggerValue),
+                         JSON.stringify(entry.queries), JSON.stringify(entry.actions), JSON.stringify(entry.errors),
+                         JSON.stringify(entry.warnings)];
+            return sql.insertOne(dbClient, insertSql, param).then((id) => {
+                return sql.query(dbClient, 'delete from app_history where id <= ?', [id - maxSize]);
+            });
+        });
+    }
+
+    deleteAll(appId) {
+        return this._db.withTransaction((dbClient) => {
+            return sql.query(dbClient, 'delete from app_history where appId = ?', [appId]);
+        });
+    }
+};
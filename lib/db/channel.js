@@ -29,4 +29,11 @@ module.exports = class ChannelStateDatabase {
             return sql.insertOne(dbClient, "insert or replace into channel(uniqueId, value) values (?, ?)", [uniqueId, JSON.stringify(value)]);
         });
     }
+
+    // delete the state of all the channels whose uniqueId starts with prefix
+    deleteByPrefix(prefix) {
+        return this._db.withTransaction((dbClient) => {
+            return sql.query(dbClient, "delete from channel where substr(uniqueId, 1, ?) = ?", [prefix.length, prefix]);
+        });
+    }
 };
@@ -0,0 +1,72 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Q = require('q');
+
+const sql = require('./sqlite');
+
+function parseRow(row) {
+    return {
+        id: row.id,
+        appId: row.appId,
+        channelId: row.channelId,
+        value: JSON.parse(row.value),
+        error: row.error,
+        failedAt: row.failedAt
+    };
+}
+
+module.exports = class DeadLetterDatabase {
+    constructor(platform) {
+        this._db = sql.db(platform.getSqliteDB(), platform.getSqliteKey());
+    }
+
+    getAll(appId) {
+        return this._db.withClient((dbClient) => {
+            var rows;
+            if (appId !== null)
+                rows = sql.selectAll(dbClient, 'select * from dead_letter where appId = ? order by id', [appId]);
+            else
+                rows = sql.selectAll(dbClient, 'select * from dead_letter order by id', []);
+            return rows.then((rows) => rows.map(parseRow));
+        });
+    }
+
+    getOne(id) {
+        return this._db.withClient((dbClient) => {
+            return sql.selectOne(dbClient, 'select * from dead_letter where id = ?', [id]).then((row) => {
+                return row === undefined ? null : parseRow(row);
+            });
+        });
+    }
+
+    // insert one failed action, and drop the oldest ones so that at most
+    // maxSize are left
+    insertOne(entry, maxSize) {
+        return this._db.withTransaction((dbClient) => {
+            var insertSql = 'insert into dead_letter(appId, channelId, value, error, failedAt) values(?,?,?,?,?)';
+            var param = [entry.appId, entry.channelId, JSON.stringify(entry.value), entry.error, entry.failedAt];
+            return sql.insertOne(dbClient, insertSql, param).then((id) => {
+                return sql.query(dbClient, 'delete from dead_letter where id <= ?', [id - maxSize]);
+            });
+        });
+    }
+
+    deleteOne(id) {
+        return this._db.withTransaction((dbClient) => {
+            return sql.query(dbClient, 'delete from dead_letter where id = ?', [id]);
+        });
+    }
+
+    deleteAll(appId) {
+        return this._db.withTransaction((dbClient) => {
+            return sql.query(dbClient, 'delete from dead_letter where appId = ?', [appId]);
+        });
+    }
+};
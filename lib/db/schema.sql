@@ -1,13 +1,25 @@
 drop table if exists app ;
+drop table if exists app_journal ;
 
 create table app (
        uniqueId varchar(255) primary key,
        code text not null,
        state text not null,
        name text null default null,
-       description text null default null
+       description text null default null,
+       enabled boolean not null default 1,
+       tier varchar(255) null default null
 );
 
+create table app_journal (
+       uniqueId varchar(255) primary key,
+       lastModified datetime
+);
+
+drop index if exists app_lastModified;
+
+create index app_lastModified on app_journal(lastModified) ;
+
 drop table if exists device ;
 drop table if exists device_journal ;
 
@@ -38,3 +50,32 @@ create table channel (
        uniqueId varchar(255) primary key,
        value text default null
 );
+
+drop table if exists app_history ;
+
+create table app_history (
+       id integer primary key autoincrement,
+       appId varchar(255) not null,
+       startTime bigint not null,
+       duration integer not null,
+       triggerValue text default null,
+       queries text not null,
+       actions text not null,
+       errors text not null,
+       warnings text not null default '[]'
+);
+
+drop index if exists app_history_appId;
+
+create index app_history_appId on app_history(appId, startTime) ;
+
+drop table if exists dead_letter ;
+
+create table dead_letter (
+       id integer primary key autoincrement,
+       appId varchar(255) not null,
+       channelId varchar(255) not null,
+       value text not null,
+       error text null default null,
+       failedAt bigint not null
+);
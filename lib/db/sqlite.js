@@ -191,7 +191,7 @@ function initializeDB(filename, key) {
     });
 }
 
-var currentVersion = 1;
+var currentVersion = 6;
 
 function migrateTo1(filename, key) {
     var db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE);
@@ -213,6 +213,105 @@ function migrateTo1(filename, key) {
     });
 }
 
+function migrateTo2(filename, key) {
+    var db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE);
+
+    return Q.Promise(function(callback, errback) {
+        db.on('error', errback);
+        db.serialize(function() {
+            db.run('alter table app add column enabled boolean not null default 1');
+        });
+        db.close(function(err) {
+            if (err)
+                errback(err);
+            else
+                callback();
+        });
+    });
+}
+
+function migrateTo3(filename, key) {
+    var db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE);
+
+    return Q.Promise(function(callback, errback) {
+        db.on('error', errback);
+        db.serialize(function() {
+            db.run('drop table if exists app_history');
+            db.run('create table app_history (id integer primary key autoincrement, appId varchar(255) not null, '
+                   + 'startTime bigint not null, duration integer not null, triggerValue text default null, '
+                   + 'queries text not null, actions text not null, errors text not null)');
+            db.run('create index app_history_appId on app_history(appId, startTime)');
+        });
+        db.close(function(err) {
+            if (err)
+                errback(err);
+            else
+                callback();
+        });
+    });
+}
+
+function migrateTo4(filename, key) {
+    var db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE);
+
+    return Q.Promise(function(callback, errback) {
+        db.on('error', errback);
+        db.serialize(function() {
+            db.run('drop table if exists dead_letter');
+            db.run('create table dead_letter (id integer primary key autoincrement, appId varchar(255) not null, '
+                   + 'channelId varchar(255) not null, value text not null, error text null default null, '
+                   + 'failedAt bigint not null)');
+        });
+        db.close(function(err) {
+            if (err)
+                errback(err);
+            else
+                callback();
+        });
+    });
+}
+
+function migrateTo5(filename, key) {
+    var db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE);
+
+    return Q.Promise(function(callback, errback) {
+        db.on('error', errback);
+        db.serialize(function() {
+            db.run('alter table app_history add column warnings text not null default \'[]\'');
+        });
+        db.close(function(err) {
+            if (err)
+                errback(err);
+            else
+                callback();
+        });
+    });
+}
+
+function migrateTo6(filename, key) {
+    var db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE);
+
+    return Q.Promise(function(callback, errback) {
+        db.on('error', errback);
+        db.serialize(function() {
+            // only phones run migrations (see migrateDB), so existing
+            // apps keep running on the phone
+            db.run('alter table app add column tier varchar(255) null default null');
+            db.run('update app set tier = \'phone\'');
+            db.run('drop table if exists app_journal');
+            db.run('create table app_journal (uniqueId varchar(255) primary key, lastModified datetime)');
+            db.run('insert into app_journal(uniqueId, lastModified) select uniqueId, ? from app', [Date.now()]);
+            db.run('create index app_lastModified on app_journal(lastModified)');
+        });
+        db.close(function(err) {
+            if (err)
+                errback(err);
+            else
+                callback();
+        });
+    });
+}
+
 function migrateDB(platform) {
     // cloud migrations are handled out of band
     if (platform.type !== 'android')
@@ -227,9 +326,21 @@ function migrateDB(platform) {
     if (version === currentVersion)
         return Q();
     prefs.set('sqlite-schema-version', currentVersion);
+
+    var migration = Q();
     if (version < 1)
-        return migrateTo1(filename, key);
-    return Q();
+        migration = migration.then(() => migrateTo1(filename, key));
+    if (version < 2)
+        migration = migration.then(() => migrateTo2(filename, key));
+    if (version < 3)
+        migration = migration.then(() => migrateTo3(filename, key));
+    if (version < 4)
+        migration = migration.then(() => migrateTo4(filename, key));
+    if (version < 5)
+        migration = migration.then(() => migrateTo5(filename, key));
+    if (version < 6)
+        migration = migration.then(() => migrateTo6(filename, key));
+    return migration;
 }
 
 module.exports = {
@@ -14,52 +14,7 @@ const ThingTalk = require('thingtalk');
 const Tier = Tp.Tier;
 const Protocol = require('../tiers/protocol');
 const ChannelStateDatabase = require('../db/channel');
-const RefCounted = require('../util/ref_counted');
-
-class ChannelStateBinder extends RefCounted {
-    constructor(db) {
-        super();
-        this._db = db;
-        this._cached = {};
-        this.uniqueId = null;
-        this._updateTimeout = null;
-    }
-
-    init(uniqueId) {
-        this.uniqueId = uniqueId;
-    }
-
-    get(name) {
-        return this._cached[name];
-    }
-
-    set(name, value) {
-        this._cached[name] = value;
-
-        clearTimeout(this._updateTimeout);
-        this._updateTimeout = setTimeout(this._flushToDisk.bind(this), 500);
-    }
-
-    _flushToDisk() {
-        this._updateTimeout = null;
-
-        return this._db.insertOne(this.uniqueId, this._cached);
-    }
-
-    _doOpen() {
-        return this._db.getOne(this.uniqueId).then(function(value) {
-            if (value !== null)
-                this._cached = value;
-            else
-                this._cached = {};
-        }.bind(this));
-    }
-
-    _doClose() {
-        clearTimeout(this._updateTimeout);
-        return this._flushToDisk();
-    }
-}
+const ChannelStateBinder = require('./channel_state_binder');
 
 module.exports = class ChannelFactory {
     constructor(engine, devices) {
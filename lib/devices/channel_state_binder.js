@@ -0,0 +1,57 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2015 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const RefCounted = require('../util/ref_counted');
+
+// A small key-value store backed by one row of the channel table,
+// written back to disk shortly after every change
+module.exports = class ChannelStateBinder extends RefCounted {
+    constructor(db) {
+        super();
+        this._db = db;
+        this._cached = {};
+        this.uniqueId = null;
+        this._updateTimeout = null;
+    }
+
+    init(uniqueId) {
+        this.uniqueId = uniqueId;
+    }
+
+    get(name) {
+        return this._cached[name];
+    }
+
+    set(name, value) {
+        this._cached[name] = value;
+
+        clearTimeout(this._updateTimeout);
+        this._updateTimeout = setTimeout(this._flushToDisk.bind(this), 500);
+    }
+
+    _flushToDisk() {
+        this._updateTimeout = null;
+
+        return this._db.insertOne(this.uniqueId, this._cached);
+    }
+
+    _doOpen() {
+        return this._db.getOne(this.uniqueId).then(function(value) {
+            if (value !== null)
+                this._cached = value;
+            else
+                this._cached = {};
+        }.bind(this));
+    }
+
+    _doClose() {
+        clearTimeout(this._updateTimeout);
+        return this._flushToDisk();
+    }
+}
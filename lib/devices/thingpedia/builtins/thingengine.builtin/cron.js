@@ -0,0 +1,103 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Tp = require('thingpedia');
+
+const CronExpression = require('../../../../util/cron');
+
+// setTimeout cannot wait longer than this, we wake up and check again
+const MAX_TIMEOUT = 0x7fffffff;
+
+module.exports = new Tp.ChannelClass({
+    Name: 'CronTimerChannel',
+    RequiredCapabilities: ['channel-state'],
+
+    _init: function(engine, state, device, params) {
+        this.parent();
+        this.engine = engine;
+        this.state = state;
+
+        var expression = params[0];
+        if (!expression)
+            throw new Error('Missing required parameter for @$cron');
+        this._expression = expression;
+        this._cron = new CronExpression(expression);
+        this._timeout = null;
+
+        this.filterString = 'cron-' + expression;
+    },
+
+    formatEvent(event) {
+        var expression = event[0];
+
+        return this.engine._("Scheduled time %s reached.").format(expression);
+    },
+
+    _fire(time) {
+        var event = [this._expression];
+
+        console.log('Emitting timer(cron) event', event);
+        // remember what we fired, so a restart does not fire it again
+        this.state.set('lastFired', time.getTime());
+        this.emitEvent(event);
+        this.emitEvent(null);
+    },
+
+    _schedule() {
+        var now = Date.now();
+        // never fire twice for the same time, even if the clock is off
+        var from = Math.max(now, this.state.get('lastFired') || 0);
+        var next = this._cron.next(new Date(from), this.engine.platform.timezone);
+        if (next === null) {
+            console.log('Cron timer ' + this._expression + ' will never fire again');
+            return;
+        }
+
+        var interval = Math.min(next.getTime() - now, MAX_TIMEOUT);
+        console.log('Cron timer ' + this._expression + ': next event at ' + next.toISOString());
+        this._timeout = setTimeout(() => {
+            this._timeout = null;
+            if (Date.now() >= next.getTime())
+                this._fire(next);
+            this._schedule();
+        }, interval);
+    },
+
+    _doOpen: function() {
+        return this.state.open().then(() => {
+            var lastFired = this.state.get('lastFired');
+            if (lastFired === undefined) {
+                // start counting from now, the first time
+                this.state.set('lastFired', Date.now());
+            } else {
+                // if we were not running when we should have fired, fire
+                // once now, for all the times we missed
+                var missed = this._cron.next(new Date(lastFired), this.engine.platform.timezone);
+                if (missed !== null && missed.getTime() <= Date.now()) {
+                    console.log('Cron timer ' + this._expression + ' missed an event at ' + missed.toISOString());
+                    // wait for the rules to start listening to us
+                    this._timeout = setTimeout(() => {
+                        this._timeout = null;
+                        this._fire(new Date);
+                        this._schedule();
+                    }, 0);
+                    return;
+                }
+            }
+
+            this._schedule();
+        });
+    },
+
+    _doClose: function() {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+        return this.state.close();
+    },
+});
@@ -0,0 +1,76 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Tp = require('thingpedia');
+
+const Solar = require('../../../../util/solar');
+
+// setTimeout cannot wait longer than this, we wake up and check again
+const MAX_TIMEOUT = 0x7fffffff;
+
+// Common code for the sunrise, sunset, dawn and dusk triggers, which
+// take an optional offset in milliseconds (negative for before the event)
+module.exports = new Tp.ChannelClass({
+    Name: 'SolarEventChannel',
+
+    _init: function(engine, device, params, event) {
+        this.parent();
+        this.engine = engine;
+
+        this._event = event;
+        this._offset = params[0] || 0;
+        if (typeof this._offset !== 'number')
+            throw new Error('Invalid offset parameter for @$' + event);
+        this._timeout = null;
+
+        this.filterString = event + '-' + this._offset;
+    },
+
+    _schedule() {
+        // the app database checks this when the app is installed, but the
+        // location could have been removed since
+        var location = Solar.getLocation(this.engine.platform);
+        if (location === null)
+            throw new Error(this.engine._("Your location is not known, set it in the settings to use sunrise and sunset triggers"));
+
+        var now = new Date;
+        var next = Solar.getNextEventTime(this._event, now, location.latitude, location.longitude,
+                                          this._offset, this.engine.platform.timezone);
+        if (next === null) {
+            console.log('Solar event ' + this._event + ' does not happen at this location');
+            return;
+        }
+
+        console.log('Solar timer for ' + this._event + ': next event at ' + next.toISOString());
+        this._timeout = setTimeout(() => {
+            this._timeout = null;
+            if (Date.now() >= next.getTime()) {
+                var event = [this._offset];
+                console.log('Emitting timer(' + this._event + ') event', event);
+                this.emitEvent(event);
+                this.emitEvent(null);
+            }
+            // the location might have changed in the meantime
+            try {
+                this._schedule();
+            } catch(e) {
+                console.error('Failed to schedule solar timer: ' + e.message);
+            }
+        }, Math.min(next.getTime() - now.getTime(), MAX_TIMEOUT));
+    },
+
+    _doOpen: function() {
+        this._schedule();
+    },
+
+    _doClose: function() {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+    },
+});
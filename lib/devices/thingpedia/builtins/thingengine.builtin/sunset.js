@@ -0,0 +1,25 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Tp = require('thingpedia');
+
+const SolarEventChannel = require('./solar_event');
+
+module.exports = new Tp.ChannelClass({
+    Name: 'SunsetChannel',
+    Extends: SolarEventChannel,
+
+    _init: function(engine, device, params) {
+        this.parent(engine, device, params, 'sunset');
+    },
+
+    formatEvent(event) {
+        return this.engine._("Sunset");
+    },
+});
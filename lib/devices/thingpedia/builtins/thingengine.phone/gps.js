@@ -10,6 +10,9 @@
 const Q = require('q');
 const Tp = require('thingpedia');
 
+// in degrees, about 1km; the sun does not care about smaller movements
+const MIN_FIX_CHANGE = 0.01;
+
 module.exports = new Tp.ChannelClass({
     Name: 'GpsChannel',
     RequiredCapabilities: ['gps'],
@@ -18,6 +21,7 @@ module.exports = new Tp.ChannelClass({
         this.parent();
 
         this._gps = engine.platform.getCapability('gps');
+        this._prefs = engine.platform.getSharedPreferences();
     },
 
     _doOpen: function() {
@@ -30,13 +34,27 @@ module.exports = new Tp.ChannelClass({
         return this._gps.stop();
     },
 
+    // remember roughly where we are, for the sunrise and sunset triggers
+    _saveLastFix: function(location) {
+        var last = this._prefs.get('gps-last-fix');
+        if (last && Math.abs(last.latitude - location.latitude) < MIN_FIX_CHANGE &&
+            Math.abs(last.longitude - location.longitude) < MIN_FIX_CHANGE)
+            return;
+
+        this._prefs.set('gps-last-fix', { latitude: location.latitude,
+                                          longitude: location.longitude });
+    },
+
     _onLocationChanged: function(error, location) {
-        if (location === null)
+        if (location === null) {
             this.emitEvent(null);
-        else
-            this.emitEvent([{ x: location.longitude, y: location.latitude },
-                            location.altitude,
-                            location.bearing,
-                            location.speed]);
+            return;
+        }
+
+        this._saveLastFix(location);
+        this.emitEvent([{ x: location.longitude, y: location.latitude },
+                        location.altitude,
+                        location.bearing,
+                        location.speed]);
     }
 });
@@ -53,11 +53,15 @@ module.exports = class Statistics {
     }
 
     hit(key) {
+        this.add(key, 1);
+    }
+
+    add(key, amount) {
         if (!this._prefs)
             return;
         var old = this._prefs.get(key);
         if (old === undefined)
             old = 0;
-        this._prefs.set(key, old+1);
+        this._prefs.set(key, old+amount);
     }
 };
@@ -0,0 +1,44 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Q = require('q');
+
+// Runs at most max tasks at the same time, and the others in order
+// as the running ones complete
+module.exports = class ConcurrencyLimiter {
+    constructor(max) {
+        this.max = max;
+
+        this._active = 0;
+        this._waiting = [];
+    }
+
+    _acquire() {
+        if (this._active < this.max) {
+            this._active++;
+            return Q();
+        }
+        return Q.Promise((callback) => this._waiting.push(callback));
+    }
+
+    _release() {
+        // hand our slot to the next task
+        if (this._waiting.length > 0)
+            this._waiting.shift()();
+        else
+            this._active--;
+    }
+
+    // run fn, which returns a promise, when there is a free slot
+    run(fn) {
+        return this._acquire().then(() => {
+            return Q.try(fn).finally(() => this._release());
+        });
+    }
+}
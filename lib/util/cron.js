@@ -0,0 +1,129 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Timezone = require('./timezone');
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// how far in the future we look for the next match; 8 years cover
+// every combination of day of the month and day of the week, including
+// february 29th
+const MAX_DAYS = 8 * 366;
+
+function parseValue(str, names, offset) {
+    var lower = str.toLowerCase();
+    if (names && names.indexOf(lower) >= 0)
+        return names.indexOf(lower) + offset;
+    if (!/^[0-9]+$/.test(str))
+        throw new Error('Invalid value ' + str + ' in cron expression');
+    return parseInt(str, 10);
+}
+
+// parse one field into a sorted array of the values it matches
+function parseField(field, min, max, names, offset) {
+    var values = new Set;
+
+    field.split(',').forEach((part) => {
+        var step = 1;
+        var slash = part.indexOf('/');
+        if (slash >= 0) {
+            step = parseInt(part.substr(slash+1), 10);
+            if (!(step > 0))
+                throw new Error('Invalid step in cron expression: ' + part);
+            part = part.substr(0, slash);
+        }
+
+        var from, to;
+        if (part === '*') {
+            from = min;
+            to = max;
+        } else {
+            var dash = part.indexOf('-');
+            if (dash >= 0) {
+                from = parseValue(part.substr(0, dash), names, offset);
+                to = parseValue(part.substr(dash+1), names, offset);
+            } else {
+                from = parseValue(part, names, offset);
+                // "5/15" means "from 5 to the end, every 15"
+                to = slash >= 0 ? max : from;
+            }
+        }
+        if (from < min || to > max || from > to)
+            throw new Error('Value out of range in cron expression: ' + part);
+
+        for (var i = from; i <= to; i += step)
+            values.add(i);
+    });
+
+    return Array.from(values).sort((a, b) => a - b);
+}
+
+// A standard 5-field cron expression:
+// minute hour day-of-month month day-of-week
+//
+// Fields can be *, numbers, names (jan-dec, sun-sat), ranges, lists and
+// steps; both 0 and 7 are Sunday. As in Vixie cron, if both the day of
+// the month and the day of the week are restricted, a day matches if
+// either of them matches.
+module.exports = class CronExpression {
+    constructor(expression) {
+        var fields = String(expression).trim().split(/\s+/);
+        if (fields.length !== 5)
+            throw new Error('Invalid cron expression ' + expression + ', expected 5 fields');
+
+        this._minutes = parseField(fields[0], 0, 59);
+        this._hours = parseField(fields[1], 0, 23);
+        this._daysOfMonth = parseField(fields[2], 1, 31);
+        this._months = parseField(fields[3], 1, 12, MONTH_NAMES, 1);
+        this._daysOfWeek = parseField(fields[4], 0, 7, DAY_NAMES, 0).map((d) => d % 7);
+
+        this._anyDayOfMonth = fields[2] === '*';
+        this._anyDayOfWeek = fields[4] === '*';
+    }
+
+    _matchesDay(year, month, day) {
+        if (this._months.indexOf(month) < 0)
+            return false;
+
+        var dayOfWeek = (new Date(Date.UTC(year, month-1, day))).getUTCDay();
+        var domMatch = this._daysOfMonth.indexOf(day) >= 0;
+        var dowMatch = this._daysOfWeek.indexOf(dayOfWeek) >= 0;
+        if (this._anyDayOfMonth || this._anyDayOfWeek)
+            return domMatch && dowMatch;
+        else
+            return domMatch || dowMatch;
+    }
+
+    // the first time strictly after the given date that matches the
+    // expression, in the given timezone, or null if there is none
+    next(after, timezone) {
+        var local = Timezone.getLocalTime(after, timezone);
+
+        for (var i = 0; i < MAX_DAYS; i++) {
+            var date = new Date(Date.UTC(local.year, local.month-1, local.day + i));
+            var year = date.getUTCFullYear();
+            var month = date.getUTCMonth() + 1;
+            var day = date.getUTCDate();
+            if (!this._matchesDay(year, month, day))
+                continue;
+
+            for (var hour of this._hours) {
+                if (i === 0 && hour < local.hour)
+                    continue;
+                for (var minute of this._minutes) {
+                    var time = Timezone.fromLocalTime(year, month, day, hour, minute, 0, timezone);
+                    if (time > after)
+                        return time;
+                }
+            }
+        }
+        return null;
+    }
+}
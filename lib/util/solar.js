@@ -0,0 +1,129 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+// Position of the sun, computed offline with the simplified NOAA
+// formulas (accurate to about a minute away from the poles)
+
+const Timezone = require('./timezone');
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+// obliquity of the Earth
+const OBLIQUITY = RAD * 23.4397;
+const J0 = 0.0009;
+
+// altitude of the center of the sun at each event, in degrees
+const EVENTS = {
+    sunrise: { angle: -0.833, rising: true },
+    sunset: { angle: -0.833, rising: false },
+    dawn: { angle: -6, rising: true },
+    dusk: { angle: -6, rising: false }
+};
+
+function toDays(date) {
+    return date.getTime() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(j) {
+    return new Date((j + 0.5 - J1970) * DAY_MS);
+}
+
+function solarMeanAnomaly(d) {
+    return RAD * (357.5291 + 0.98560028 * d);
+}
+
+function eclipticLongitude(M) {
+    var center = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    var perihelion = RAD * 102.9372;
+    return M + center + perihelion + Math.PI;
+}
+
+function approxTransit(hourAngle, lw, n) {
+    return J0 + (hourAngle + lw) / (2 * Math.PI) + n;
+}
+
+function solarTransit(ds, M, L) {
+    return J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+}
+
+// the time of the named event (one of sunrise, sunset, dawn and dusk)
+// on the solar day closest to date, or null if the sun never crosses
+// the right altitude on that day (close to the poles)
+function getEventTime(event, date, latitude, longitude) {
+    var info = EVENTS[event];
+    if (info === undefined)
+        throw new Error('Invalid solar event ' + event);
+
+    var lw = -RAD * longitude;
+    var phi = RAD * latitude;
+    var n = Math.round(toDays(date) - J0 - lw / (2 * Math.PI));
+    var ds = approxTransit(0, lw, n);
+    var M = solarMeanAnomaly(ds);
+    var L = eclipticLongitude(M);
+    var declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+    var noon = solarTransit(ds, M, L);
+
+    var cosHourAngle = (Math.sin(RAD * info.angle) - Math.sin(phi) * Math.sin(declination)) /
+        (Math.cos(phi) * Math.cos(declination));
+    if (cosHourAngle < -1 || cosHourAngle > 1)
+        return null;
+
+    var set = solarTransit(approxTransit(Math.acos(cosHourAngle), lw, n), M, L);
+    if (info.rising)
+        return fromJulian(noon - (set - noon));
+    else
+        return fromJulian(set);
+}
+
+// the first time after date when the event happens, shifted by offset
+// milliseconds, or null if it does not happen within a year
+function getNextEventTime(event, after, latitude, longitude, offset, timezone) {
+    var local = Timezone.getLocalTime(after, timezone);
+
+    // start from yesterday, in case a negative offset moves tomorrow's
+    // event to today, or the local day and the solar day disagree
+    for (var i = -1; i <= 366; i++) {
+        var noon = Timezone.fromLocalTime(local.year, local.month, local.day + i, 12, 0, 0, timezone);
+        var time = getEventTime(event, noon, latitude, longitude);
+        if (time === null)
+            continue;
+        time = new Date(time.getTime() + offset);
+        if (time > after)
+            return time;
+    }
+    return null;
+}
+
+function isEvent(name) {
+    return EVENTS.hasOwnProperty(name);
+}
+
+// where we compute the events: the location configured by the user, as
+// { latitude, longitude }, or else the last one we got from the phone GPS
+// (see thingengine.phone/gps.js); null if we know neither
+function getLocation(platform) {
+    var prefs = platform.getSharedPreferences();
+
+    var location = prefs.get('location');
+    if (location && typeof location.latitude === 'number' && typeof location.longitude === 'number')
+        return location;
+    location = prefs.get('gps-last-fix');
+    if (location && typeof location.latitude === 'number' && typeof location.longitude === 'number')
+        return location;
+    return null;
+}
+
+module.exports = {
+    isEvent: isEvent,
+    getEventTime: getEventTime,
+    getNextEventTime: getNextEventTime,
+    getLocation: getLocation
+};
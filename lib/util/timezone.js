@@ -0,0 +1,111 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+// Conversions between absolute times and wall-clock times in a timezone
+// (usually platform.timezone), using the tz database that comes with Intl
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FIELDS = ['year', 'month', 'day', 'hour', 'minute', 'second'];
+
+var _formatters = {};
+function getFormatter(timezone) {
+    var key = timezone || '';
+    if (!_formatters[key]) {
+        _formatters[key] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hour12: false,
+            weekday: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+    return _formatters[key];
+}
+
+// Break down date into the wall-clock time in the given timezone
+//
+// month is 1-based, dayOfWeek is 0 for Sunday
+function getLocalTime(date, timezone) {
+    var local = {};
+    getFormatter(timezone).formatToParts(date).forEach((part) => {
+        if (part.type === 'weekday')
+            local.dayOfWeek = WEEKDAYS.indexOf(part.value);
+        else if (FIELDS.indexOf(part.type) >= 0)
+            local[part.type] = parseInt(part.value, 10);
+    });
+    // some versions of ICU format midnight as 24:00
+    if (local.hour === 24)
+        local.hour = 0;
+    return local;
+}
+
+function getOffset(date, timezone) {
+    var local = getLocalTime(date, timezone);
+    var asUTC = Date.UTC(local.year, local.month-1, local.day, local.hour, local.minute, local.second);
+    return asUTC - (date.getTime() - date.getMilliseconds());
+}
+
+// the wall-clock time at time (in ms), as if it was UTC
+function getWallClock(time, timezone) {
+    return time + getOffset(new Date(time), timezone);
+}
+
+// The inverse of getLocalTime: return the Date at which the wall clock in
+// the given timezone shows the given time
+//
+// Out of range values are normalized like Date.UTC does, so day can be
+// past the end of the month
+//
+// A time that the wall clock skips, because daylight saving time starts,
+// becomes the end of the skipped hour, which is what cron does too; a
+// time that the wall clock shows twice is the first of the two
+function fromLocalTime(year, month, day, hour, minute, second, timezone) {
+    var utc = Date.UTC(year, month-1, day, hour, minute, second);
+    var guess = utc - getOffset(new Date(utc), timezone);
+    // check the offset again at the time we found, in case we crossed
+    // a daylight saving time change
+    var time = utc - getOffset(new Date(guess), timezone);
+    if (getWallClock(time, timezone) === utc)
+        return new Date(time);
+
+    // the wall clock jumps over utc somewhere between the two times,
+    // find where
+    var low = Math.min(time, guess);
+    var high = Math.max(time, guess);
+    while (high - low > 1000) {
+        var middle = low + Math.floor((high - low) / 2000) * 1000;
+        if (getWallClock(middle, timezone) >= utc)
+            high = middle;
+        else
+            low = middle;
+    }
+    return new Date(high);
+}
+
+// Parse a time of the day of the form "HH:MM" into minutes since midnight
+function parseTimeOfDay(str) {
+    var match = /^([0-9]{1,2}):([0-9]{2})$/.exec(str);
+    if (match === null)
+        throw new Error('Invalid time of the day ' + str);
+    var hour = parseInt(match[1], 10);
+    var minute = parseInt(match[2], 10);
+    if (hour > 24 || minute > 59 || (hour === 24 && minute > 0))
+        throw new Error('Invalid time of the day ' + str);
+    return hour * 60 + minute;
+}
+
+module.exports = {
+    getLocalTime: getLocalTime,
+    fromLocalTime: fromLocalTime,
+    parseTimeOfDay: parseTimeOfDay
+};
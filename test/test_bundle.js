@@ -0,0 +1,204 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Q = require('q');
+const assert = require('assert');
+const events = require('events');
+
+const AppDatabase = require('../lib/apps/database');
+const Tier = require('../lib/tiers/tier_manager').Tier;
+
+// the code of a fake app is the JSON of what it needs: its keywords, its
+// devices and whether it fails to open
+class FakeApp extends events.EventEmitter {
+    constructor(code, state, name, description) {
+        super();
+        this.code = code;
+        this.state = state;
+        this.name = name || 'Test';
+        this.description = description;
+        this.isEnabled = false;
+        this.isSimulated = false;
+        this.rules = [];
+
+        var parsed = JSON.parse(code);
+        this.compiler = { params: {}, keywords: {} };
+        (parsed.keywords || []).forEach((name) => this.compiler.keywords[name] = 'Number');
+        this._devices = parsed.devices || [];
+        this._fail = parsed.fail;
+    }
+
+    compile() {
+        return Q();
+    }
+
+    open() {
+        this.rules = [{ outputs: [] }];
+        if (this._fail)
+            return Q.reject(new Error('open failed'));
+        return Q();
+    }
+
+    runCommands() {
+        return Q();
+    }
+
+    close() {
+        return Q();
+    }
+
+    getActionTargets() {
+        return [];
+    }
+
+    getRequiredDevices() {
+        return this._devices;
+    }
+
+    usesSolarEvents() {
+        return false;
+    }
+}
+
+class FakeKeyword {
+    constructor(store, key) {
+        this._store = store;
+        this._key = key;
+        this.value = store.has(key) ? store.get(key) : null;
+    }
+
+    changeValue(value) {
+        this.value = value;
+        if (value === null)
+            this._store.delete(this._key);
+        else
+            this._store.set(this._key, value);
+    }
+
+    close() {
+        return Q();
+    }
+}
+
+class FakeSyncDatabase extends events.EventEmitter {
+    insertOne(uniqueId, row) {
+        return Q();
+    }
+
+    deleteOne(uniqueId) {
+        return Q();
+    }
+}
+
+// devices is a list of [kind, globalName]
+function makeDatabase(devices) {
+    var keywords = new Map;
+    var engine = {
+        ownTier: Tier.SERVER,
+        tiers: {
+            ownTier: Tier.SERVER,
+            isConfigured(tier) { return tier === Tier.SERVER; },
+            registerHandler() {}
+        },
+        platform: {
+            timezone: 'UTC',
+            getSqliteDB() { return ':memory:'; },
+            getSqliteKey() { return null; },
+            getSharedPreferences() { return { get() {}, set() {} }; },
+            hasCapability() { return false; }
+        },
+        devices: new events.EventEmitter(),
+        keywords: {
+            getOpenedKeyword(scope, name) {
+                return Q(new FakeKeyword(keywords, scope + '-' + name));
+            }
+        },
+        _(string) { return string; }
+    };
+    engine.devices.getAllDevicesOfKind = (kind) => devices.filter((d) => d[0] === kind);
+    engine.devices.getDevicesByGlobalName = (name) => devices.filter((d) => d[1] === name);
+
+    var db = new AppDatabase(engine);
+    db._syncdb = new FakeSyncDatabase();
+    db._createApp = function(code, state, name, description) {
+        return new FakeApp(code, state, name, description);
+    };
+    db.keywords = keywords;
+    return db;
+}
+
+function testRoundTrip() {
+    var devices = [{ lookup: 'globalName', name: 'phone' }, { lookup: 'kind', name: 'com.twitter' }];
+    var code = JSON.stringify({ keywords: ['count'], devices: devices });
+    var source = makeDatabase([]);
+    var dest = makeDatabase([['org.thingpedia.builtin.thingengine.phone', 'phone'], ['com.twitter', null]]);
+
+    return source.loadOneApp(code, { p: 1 }, 'uuid-source', undefined, 'Exported', 'Description', true).then(() => {
+        source.keywords.set('uuid-source-count', 42);
+        return source.exportApp('uuid-source');
+    }).then((bundle) => {
+        // the bundle says how to find each device, and survives JSON
+        assert.deepEqual(bundle.devices, devices);
+        assert.deepEqual(bundle.keywords, { count: 42 });
+        return dest.importApp(JSON.stringify(bundle));
+    }).then((app) => {
+        assert.equal(app.code, code);
+        assert.deepEqual(app.state, { p: 1 });
+        assert.equal(app.name, 'Exported');
+        assert.notEqual(app.uniqueId, 'uuid-source');
+        assert.equal(dest.keywords.get(app.uniqueId + '-count'), 42);
+    });
+}
+
+function testMissingDevices() {
+    // a device of kind 'phone' is not the phone
+    var db = makeDatabase([['phone', null]]);
+    var bundle = {
+        version: 1,
+        code: JSON.stringify({}),
+        devices: [{ lookup: 'globalName', name: 'phone' }],
+        keywords: { count: 1 }
+    };
+
+    return db.importApp(bundle).then(() => {
+        assert.fail('the import should have failed');
+    }, (e) => {
+        assert.equal(e.message, 'Missing devices for app bundle: phone');
+        assert.equal(db.keywords.size, 0);
+    });
+}
+
+function testFailedImport() {
+    var db = makeDatabase([]);
+    var bundle = {
+        version: 1,
+        code: JSON.stringify({ keywords: ['count'], fail: true }),
+        devices: [],
+        keywords: { count: 1 }
+    };
+
+    return db.importApp(bundle).then(() => {
+        assert.fail('the import should have failed');
+    }, (e) => {
+        // the keywords written for the app don't outlive it
+        assert.equal(e.code, 'EINSTALLFAILED');
+        assert.equal(db.keywords.size, 0);
+        assert.deepEqual(db.getAllApps(), []);
+    });
+}
+
+function main() {
+    testRoundTrip()
+        .then(testMissingDevices)
+        .then(testFailedImport)
+        .then(() => console.log('Done'))
+        .done();
+}
+
+main();
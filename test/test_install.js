@@ -0,0 +1,256 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Q = require('q');
+const assert = require('assert');
+const events = require('events');
+
+const AppDatabase = require('../lib/apps/database');
+const ChannelStateDatabase = require('../lib/db/channel');
+const Tier = require('../lib/tiers/tier_manager').Tier;
+
+// the steps of the installation, in the order they happened
+var log = [];
+
+ChannelStateDatabase.prototype.deleteByPrefix = function(prefix) {
+    log.push('delete state ' + prefix);
+    return Q();
+};
+
+// the code of a fake app says which step fails, as { fail: step }
+class FakeApp extends events.EventEmitter {
+    constructor(code, state, name, description) {
+        super();
+        this.code = code;
+        this.state = state;
+        this.name = name || 'Test';
+        this.description = description;
+        this.isEnabled = false;
+        this.isSimulated = false;
+        this.compiler = { params: {} };
+        this.rules = [];
+        this.closed = false;
+
+        this._fail = JSON.parse(code).fail;
+    }
+
+    _step(step) {
+        log.push(step);
+        if (this._fail === step)
+            return Q.reject(new Error(step + ' failed'));
+        return Q();
+    }
+
+    compile() {
+        return this._step('compile');
+    }
+
+    open() {
+        this.rules = [{ outputs: [] }];
+        return this._step('open');
+    }
+
+    runCommands() {
+        return this._step('commands');
+    }
+
+    close() {
+        this.closed = true;
+        return this._step('close');
+    }
+
+    getActionTargets() {
+        return [];
+    }
+
+    usesSolarEvents() {
+        return false;
+    }
+}
+
+class FakeSyncDatabase extends events.EventEmitter {
+    constructor() {
+        super();
+        this.failSave = false;
+        this._rows = {};
+    }
+
+    getOne(uniqueId) {
+        return Q(this._rows[uniqueId]);
+    }
+
+    insertOne(uniqueId, row) {
+        log.push('save');
+        if (this.failSave)
+            return Q.reject(new Error('save failed'));
+        this._rows[uniqueId] = row;
+        return Q();
+    }
+
+    deleteOne(uniqueId) {
+        log.push('delete');
+        return Q();
+    }
+}
+
+function makeDatabase(ownTier, configured) {
+    var engine = {
+        ownTier: ownTier,
+        tiers: {
+            ownTier: ownTier,
+            isConfigured(tier) { return configured.indexOf(tier) >= 0; },
+            registerHandler() {}
+        },
+        platform: {
+            timezone: 'UTC',
+            getSqliteDB() { return ':memory:'; },
+            getSqliteKey() { return null; },
+            getSharedPreferences() { return { get() {}, set() {} }; },
+            hasCapability() { return false; }
+        },
+        devices: new events.EventEmitter(),
+        _(string) { return string; }
+    };
+
+    var db = new AppDatabase(engine);
+    db._syncdb = new FakeSyncDatabase();
+    var apps = [];
+    db._createApp = function(code, state, name, description) {
+        var app = new FakeApp(code, state, name, description);
+        apps.push(app);
+        return app;
+    };
+    db.createdApps = apps;
+    return db;
+}
+
+function install(db, fail, uniqueId) {
+    log = [];
+    return db.loadOneApp(JSON.stringify({ fail: fail }), {}, uniqueId, undefined, 'Test', null, true);
+}
+
+function expectFailure(promise, step) {
+    return promise.then(() => {
+        assert.fail('the installation should have failed');
+    }, (e) => {
+        assert.equal(e.code, 'EINSTALLFAILED');
+        assert.equal(e.step, step);
+    });
+}
+
+function testSuccess() {
+    var db = makeDatabase(Tier.SERVER, [Tier.SERVER]);
+    var added = [];
+    db.on('app-added', (app) => added.push(app.uniqueId));
+
+    return install(db, null, 'uuid-ok').then(() => {
+        // the commands run before the app is saved and sent to the other tiers
+        assert.deepEqual(log, ['compile', 'compile', 'open', 'commands', 'save']);
+        assert(db.getApp('uuid-ok'));
+        assert.deepEqual(added, ['uuid-ok']);
+    });
+}
+
+function testCommandsFail() {
+    var db = makeDatabase(Tier.SERVER, [Tier.SERVER]);
+
+    return expectFailure(install(db, 'commands', 'uuid-commands'), 'commands').then(() => {
+        // never saved, so no other tier ever saw it
+        assert.deepEqual(log, ['compile', 'compile', 'open', 'commands', 'close']);
+        assert(db.createdApps[1].closed);
+        assert.strictEqual(db.getApp('uuid-commands'), undefined);
+    });
+}
+
+function testOpenFails() {
+    var db = makeDatabase(Tier.SERVER, [Tier.SERVER]);
+
+    return expectFailure(install(db, 'open', 'uuid-open'), 'open').then(() => {
+        // open() cleans up after itself
+        assert.deepEqual(log, ['compile', 'compile', 'open']);
+        assert.strictEqual(db.getApp('uuid-open'), undefined);
+    });
+}
+
+function testSaveFails() {
+    var db = makeDatabase(Tier.SERVER, [Tier.SERVER]);
+    db._syncdb.failSave = true;
+
+    return expectFailure(install(db, null, 'uuid-save'), 'save').then(() => {
+        // nothing was saved, so there is nothing to delete
+        assert.deepEqual(log, ['compile', 'compile', 'open', 'commands', 'save', 'close']);
+        assert.strictEqual(db.getApp('uuid-save'), undefined);
+    });
+}
+
+function testHandedOver() {
+    // the app runs in the cloud, so the phone closes its copy after saving it
+    var db = makeDatabase(Tier.PHONE, [Tier.PHONE, Tier.CLOUD]);
+
+    return install(db, 'close', 'uuid-cloud').then(() => {
+        // failing to close our copy does not undo the installation
+        assert.deepEqual(log, ['compile', 'compile', 'open', 'commands', 'save', 'close']);
+        assert.strictEqual(db.getApp('uuid-cloud'), undefined);
+    });
+}
+
+function testWrongTier() {
+    var db = makeDatabase(Tier.PHONE, [Tier.PHONE, Tier.CLOUD]);
+
+    function expectWrongTier(promise) {
+        return promise.then(() => {
+            assert.fail('changing an app of another tier should have failed');
+        }, (e) => {
+            assert.equal(e.code, 'EWRONGTIER');
+            assert.equal(e.tier, Tier.CLOUD);
+        });
+    }
+
+    return install(db, null, 'uuid-elsewhere').then(() => {
+        return expectWrongTier(db.disableApp({ uniqueId: 'uuid-elsewhere' }));
+    }).then(() => {
+        return expectWrongTier(db.updateApp('uuid-elsewhere', JSON.stringify({ fail: null }), {}));
+    }).then(() => {
+        return db.enableApp({ uniqueId: 'uuid-missing' }).then(() => {
+            assert.fail('enabling a missing app should have failed');
+        }, (e) => {
+            assert.equal(e.message, 'Invalid app uuid-missing');
+        });
+    });
+}
+
+function testRemove() {
+    var db = makeDatabase(Tier.SERVER, [Tier.SERVER]);
+    db._history = { deleteAll() { return Q(); } };
+    db._deadLetters = { deleteAll() { return Q(); } };
+
+    return install(db, null, 'uuid-remove').then(() => {
+        log = [];
+        return db.removeApp(db.getApp('uuid-remove'));
+    }).then(() => {
+        // the state of the rules and compute modules goes with the app
+        assert.deepEqual(log, ['close', 'delete', 'delete state uuid-remove-rule-',
+                               'delete state thingengine-compute-module-uuid-remove-']);
+        assert.strictEqual(db.getApp('uuid-remove'), undefined);
+    });
+}
+
+function main() {
+    testSuccess()
+        .then(testCommandsFail)
+        .then(testOpenFails)
+        .then(testSaveFails)
+        .then(testHandedOver)
+        .then(testWrongTier)
+        .then(testRemove)
+        .then(() => console.log('Done'))
+        .done();
+}
+
+main();
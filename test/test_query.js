@@ -0,0 +1,197 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Q = require('q');
+const assert = require('assert');
+
+const QueryExecutor = require('../lib/apps/query_executor');
+const Execution = require('../lib/apps/execution');
+
+// the calls to the channels, in the order they started
+var log = [];
+
+class FakeEnv {
+    constructor(vars) {
+        this.vars = vars;
+    }
+
+    clone() {
+        var vars = {};
+        for (var name in this.vars)
+            vars[name] = this.vars[name];
+        return new FakeEnv(vars);
+    }
+}
+
+// a channel that returns the given rows after delay ms
+class FakeChannel {
+    constructor(name, rows, delay) {
+        this.uniqueId = name;
+        this.calls = [];
+
+        this._rows = rows;
+        this._delay = delay;
+    }
+
+    invokeQuery(args) {
+        log.push(this.uniqueId);
+        this.calls.push(args);
+        return Q.delay(this._delay).then(() => this._rows);
+    }
+}
+
+function makeApp(concurrency) {
+    var app = {
+        uniqueId: 'app-query-test',
+        isSimulated: false,
+        state: { $queryConcurrency: concurrency },
+        compiler: { params: { p: 'String' }, keywords: {} },
+        usage: 0,
+        errors: [],
+        recordUsage(counter) {
+            assert.equal(counter, 'queries');
+            this.usage++;
+        },
+        reportError(e) { this.errors.push(e); }
+    };
+    return app;
+}
+
+// a query that reads the variable input and binds the variable output to
+// each of the rows of the channel; in the AST both are arguments of the
+// invocation, as in @channel(input, output)
+function makeQuery(app, channel, input, output) {
+    var engine = { stats: { hit() {} } };
+    var parent = { open() { return Q(); }, close() { return Q(); } };
+    var query = {
+        invocation: {
+            selector: { isBuiltin: true },
+            name: channel.uniqueId,
+            params: [(env) => env.vars[input]]
+        },
+        ast: { params: [{ isVarRef: true, name: input }, { isVarRef: true, name: output }] },
+        caller(env, callback) {
+            env.vars[output] = env.queryValue;
+            callback();
+        }
+    };
+
+    var executor = new QueryExecutor(engine, app, parent, query);
+    executor._selector = { values() { return [channel]; } };
+    return executor;
+}
+
+// run the queries once, and return the variables of each result
+function run(app, queries, vars) {
+    var results = [];
+    var execution = new Execution(app, null);
+    var independent = QueryExecutor.findIndependent(queries);
+    return QueryExecutor.runAll(queries, independent, new FakeEnv(vars), execution, (env) => {
+        results.push(env.vars);
+    }).then(() => execution.wait()).then(() => results);
+}
+
+function testIndependent() {
+    log = [];
+    var app = makeApp(4);
+    var first = new FakeChannel('first', ['a', 'b'], 20);
+    var second = new FakeChannel('second', ['c'], 5);
+    // first binds x, second only reads the parameter of the app
+    var queries = [makeQuery(app, first, 'p', 'x'), makeQuery(app, second, 'p', 'y')];
+    assert.deepEqual(QueryExecutor.findIndependent(queries), [true, true]);
+
+    return run(app, queries, { p: 'foo' }).then((results) => {
+        // second started before first had results, and its one call
+        // served both of them
+        assert.deepEqual(log, ['first', 'second']);
+        assert.deepEqual(second.calls, [['foo']]);
+        assert.deepEqual(results.map((vars) => [vars.x, vars.y]), [['a', 'c'], ['b', 'c']]);
+        assert.equal(app.usage, 2);
+        assert.deepEqual(app.errors, []);
+    });
+}
+
+function testDependent() {
+    log = [];
+    var app = makeApp(4);
+    var first = new FakeChannel('first', ['a', 'b'], 5);
+    var second = new FakeChannel('second', ['c'], 5);
+    // second reads x, which first binds
+    var queries = [makeQuery(app, first, 'p', 'x'), makeQuery(app, second, 'x', 'y')];
+    assert.deepEqual(QueryExecutor.findIndependent(queries), [true, false]);
+
+    return run(app, queries, { p: 'foo' }).then((results) => {
+        // second is called once for each result of first
+        assert.deepEqual(second.calls, [['a'], ['b']]);
+        assert.deepEqual(results.map((vars) => [vars.x, vars.y]), [['a', 'c'], ['b', 'c']]);
+        assert.equal(app.usage, 3);
+    });
+}
+
+function testUnknownArguments() {
+    var app = makeApp(4);
+    var first = new FakeChannel('first', [], 5);
+    var second = new FakeChannel('second', [], 5);
+    var third = new FakeChannel('third', [], 5);
+    var queries = [makeQuery(app, first, 'p', 'x'), makeQuery(app, second, 'p', 'y'),
+                   makeQuery(app, third, 'p', 'z')];
+    // without the AST we cannot tell what second reads, nor what it binds
+    queries[1]._variables = null;
+    assert.deepEqual(QueryExecutor.findIndependent(queries), [true, false, false]);
+}
+
+function testEarlyEmpty() {
+    log = [];
+    // two calls at a time: first and second start, third takes the slot of
+    // first, and fourth waits for second
+    var app = makeApp(2);
+    var first = new FakeChannel('first', [], 5);
+    var second = new FakeChannel('second', ['b'], 50);
+    var third = new FakeChannel('third', ['c'], 5);
+    var fourth = new FakeChannel('fourth', ['d'], 5);
+    var queries = [makeQuery(app, first, 'p', 'x'), makeQuery(app, second, 'p', 'y'),
+                   makeQuery(app, third, 'p', 'z'), makeQuery(app, fourth, 'p', 'w')];
+
+    return run(app, queries, { p: 'foo' }).then((results) => {
+        assert.deepEqual(results, []);
+        // fourth had not started when first came back empty, so it never did
+        assert.deepEqual(log, ['first', 'second', 'third']);
+        assert.deepEqual(fourth.calls, []);
+        // the calls that went ahead for nothing don't count
+        assert.equal(app.usage, 1);
+        assert.deepEqual(app.errors, []);
+    });
+}
+
+function testNoConcurrency() {
+    log = [];
+    var app = makeApp(1);
+    var first = new FakeChannel('first', [], 5);
+    var second = new FakeChannel('second', ['b'], 5);
+    var queries = [makeQuery(app, first, 'p', 'x'), makeQuery(app, second, 'p', 'y')];
+
+    return run(app, queries, { p: 'foo' }).then((results) => {
+        // one call at a time, so nothing starts ahead
+        assert.deepEqual(results, []);
+        assert.deepEqual(log, ['first']);
+        assert.equal(app.usage, 1);
+    });
+}
+
+function main() {
+    testIndependent()
+        .then(testDependent)
+        .then(testUnknownArguments)
+        .then(testEarlyEmpty)
+        .then(testNoConcurrency)
+        .then(() => console.log('Done'))
+        .done();
+}
+
+main();
@@ -0,0 +1,52 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const assert = require('assert');
+
+const Schedule = require('../lib/apps/schedule');
+
+function testScheduleAcrossMidnight() {
+    // Friday nights from 22:00 to 6:00; 2026-01-02 is a Friday
+    var schedule = new Schedule({ days: [5], ranges: [['22:00', '06:00']] }, 'UTC');
+
+    assert(schedule.isActive(new Date('2026-01-02T22:00:00Z')));
+    assert(schedule.isActive(new Date('2026-01-02T23:59:00Z')));
+    // the early hours of Saturday belong to Friday night
+    assert(schedule.isActive(new Date('2026-01-03T05:59:00Z')));
+    assert(!schedule.isActive(new Date('2026-01-03T06:00:00Z')));
+    assert(!schedule.isActive(new Date('2026-01-03T23:00:00Z')));
+    // and the early hours of Friday to Thursday night
+    assert(!schedule.isActive(new Date('2026-01-02T05:00:00Z')));
+    assert(!schedule.isActive(new Date('2026-01-02T21:59:00Z')));
+
+    assert.equal(schedule.nextActiveTime(new Date('2026-01-03T07:00:00Z')).toISOString(), '2026-01-09T22:00:00.000Z');
+    assert.equal(schedule.nextActiveTime(new Date('2026-01-02T12:00:00Z')).toISOString(), '2026-01-02T22:00:00.000Z');
+
+    // the same in a timezone, where the UTC day is different
+    schedule = new Schedule({ days: [5], ranges: [['22:00', '06:00']] }, 'America/New_York');
+    assert(schedule.isActive(new Date('2026-01-03T04:00:00Z')));
+    assert(schedule.isActive(new Date('2026-01-03T10:59:00Z')));
+    assert(!schedule.isActive(new Date('2026-01-03T11:00:00Z')));
+    assert.equal(schedule.nextActiveTime(new Date('2026-01-03T12:00:00Z')).toISOString(), '2026-01-10T03:00:00.000Z');
+}
+
+function testDefaults() {
+    // with no days and no ranges, it is always active
+    var schedule = new Schedule({}, 'UTC');
+    assert(schedule.isActive(new Date('2026-01-03T12:00:00Z')));
+    assert.equal(schedule.outside, 'drop');
+}
+
+function main() {
+    testScheduleAcrossMidnight();
+    testDefaults();
+    console.log('Done');
+}
+
+main();
@@ -0,0 +1,142 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const assert = require('assert');
+
+const Timezone = require('../lib/util/timezone');
+const CronExpression = require('../lib/util/cron');
+const Solar = require('../lib/util/solar');
+
+function next(expression, after, timezone) {
+    var time = new CronExpression(expression).next(new Date(after), timezone);
+    return time === null ? null : time.toISOString();
+}
+
+function testCronParsing() {
+    assert.deepEqual(new CronExpression('*/15 * * * *')._minutes, [0, 15, 30, 45]);
+    assert.deepEqual(new CronExpression('0 9-17/4 * * *')._hours, [9, 13, 17]);
+    assert.deepEqual(new CronExpression('0 0 1,15 * *')._daysOfMonth, [1, 15]);
+    assert.deepEqual(new CronExpression('0 0 * jan-mar *')._months, [1, 2, 3]);
+    assert.deepEqual(new CronExpression('0 0 * * mon,fri')._daysOfWeek, [1, 5]);
+    // both 0 and 7 are Sunday
+    assert.deepEqual(new CronExpression('0 0 * * 7')._daysOfWeek, [0]);
+
+    ['* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *',
+     '* * * * 8', '5-1 * * * *', '*/0 * * * *', 'x * * * *'].forEach((expression) => {
+        assert.throws(() => new CronExpression(expression), Error, expression);
+    });
+}
+
+function testCronNext() {
+    assert.equal(next('*/15 * * * *', '2026-01-01T10:07:00Z', 'UTC'), '2026-01-01T10:15:00.000Z');
+    // strictly after
+    assert.equal(next('0 12 * * *', '2026-01-01T12:00:00Z', 'UTC'), '2026-01-02T12:00:00.000Z');
+    assert.equal(next('0 0 1 * *', '2026-01-31T12:00:00Z', 'UTC'), '2026-02-01T00:00:00.000Z');
+    assert.equal(next('0 0 29 2 *', '2026-01-01T00:00:00Z', 'UTC'), '2028-02-29T00:00:00.000Z');
+    // in the given timezone
+    assert.equal(next('0 8 * * *', '2026-01-01T00:00:00Z', 'Europe/Rome'), '2026-01-01T07:00:00.000Z');
+    assert.equal(next('0 8 * * *', '2026-07-01T00:00:00Z', 'Europe/Rome'), '2026-07-01T06:00:00.000Z');
+}
+
+function testCronDayOrSemantics() {
+    // 2026-01-01 is a Thursday
+    // only the day of the week is restricted
+    assert.equal(next('0 0 * * mon', '2026-01-01T00:00:00Z', 'UTC'), '2026-01-05T00:00:00.000Z');
+    // only the day of the month is restricted
+    assert.equal(next('0 0 10 * *', '2026-01-01T00:00:00Z', 'UTC'), '2026-01-10T00:00:00.000Z');
+    // both are restricted: either one matches
+    assert.equal(next('0 0 10 * mon', '2026-01-01T00:00:00Z', 'UTC'), '2026-01-05T00:00:00.000Z');
+    assert.equal(next('0 0 10 * mon', '2026-01-05T00:00:00Z', 'UTC'), '2026-01-10T00:00:00.000Z');
+    // both restricted, but the month still has to match
+    assert.equal(next('0 0 10 feb mon', '2026-01-01T00:00:00Z', 'UTC'), '2026-02-02T00:00:00.000Z');
+}
+
+function testDaylightSaving() {
+    var tz = 'America/Los_Angeles';
+
+    // 2:30 does not exist on 2026-03-08, it runs when the clock
+    // jumps to 3:00 PDT, and at 2:30 PDT on the next day
+    assert.equal(next('30 2 * * *', '2026-03-08T00:00:00Z', tz), '2026-03-08T10:00:00.000Z');
+    assert.equal(next('30 2 * * *', '2026-03-08T10:00:00Z', tz), '2026-03-09T09:30:00.000Z');
+    // every minute in the gap runs once, not 60 times
+    assert.equal(next('* 2 * * *', '2026-03-08T10:00:00Z', tz), '2026-03-09T09:00:00.000Z');
+    // times around the gap are unaffected
+    assert.equal(next('59 1 * * *', '2026-03-08T00:00:00Z', tz), '2026-03-08T09:59:00.000Z');
+    assert.equal(next('0 3 * * *', '2026-03-08T00:00:00Z', tz), '2026-03-08T10:00:00.000Z');
+
+    // 1:30 happens twice on 2026-11-01, the first one is used
+    assert.equal(next('30 1 * * *', '2026-11-01T00:00:00Z', tz), '2026-11-01T08:30:00.000Z');
+    assert.equal(next('30 1 * * *', '2026-11-01T08:30:00Z', tz), '2026-11-02T09:30:00.000Z');
+
+    assert.equal(Timezone.fromLocalTime(2026, 3, 8, 2, 30, 0, tz).toISOString(), '2026-03-08T10:00:00.000Z');
+    assert.equal(Timezone.fromLocalTime(2026, 3, 29, 2, 30, 0, 'Europe/Rome').toISOString(), '2026-03-29T01:00:00.000Z');
+}
+
+// the published times are rounded to the minute, and the formulas are
+// accurate to about a minute
+const SOLAR_TOLERANCE = 3 * 60 * 1000;
+
+function assertCloseTo(time, expected) {
+    assert.notEqual(time, null);
+    var difference = Math.abs(time.getTime() - new Date(expected).getTime());
+    assert(difference <= SOLAR_TOLERANCE, time.toISOString() + ' is not close to ' + expected);
+}
+
+function testSolar() {
+    // San Francisco on the summer solstice: sunrise 5:48 PDT, sunset 20:35,
+    // civil dawn 5:17, civil dusk 21:06
+    var sf = [37.7749, -122.4194];
+    var day = new Date('2026-06-21T19:00:00Z');
+    assertCloseTo(Solar.getEventTime('sunrise', day, sf[0], sf[1]), '2026-06-21T12:48:00Z');
+    assertCloseTo(Solar.getEventTime('sunset', day, sf[0], sf[1]), '2026-06-22T03:35:00Z');
+    assertCloseTo(Solar.getEventTime('dawn', day, sf[0], sf[1]), '2026-06-21T12:17:00Z');
+    assertCloseTo(Solar.getEventTime('dusk', day, sf[0], sf[1]), '2026-06-22T04:06:00Z');
+
+    // London on the March equinox: sunrise 6:03 GMT, sunset 18:13
+    var london = [51.5074, -0.1278];
+    day = new Date('2026-03-20T12:00:00Z');
+    assertCloseTo(Solar.getEventTime('sunrise', day, london[0], london[1]), '2026-03-20T06:03:00Z');
+    assertCloseTo(Solar.getEventTime('sunset', day, london[0], london[1]), '2026-03-20T18:13:00Z');
+
+    // the sun does not set in Tromsø in June
+    assert.strictEqual(Solar.getEventTime('sunset', new Date('2026-06-21T12:00:00Z'), 69.65, 18.96), null);
+
+    // half an hour before sunset, after the one that already happened
+    var time = Solar.getNextEventTime('sunset', new Date('2026-06-22T03:10:00Z'), sf[0], sf[1],
+                                      -30 * 60 * 1000, 'America/Los_Angeles');
+    assertCloseTo(time, '2026-06-23T03:05:00Z');
+
+    assert.throws(() => Solar.getEventTime('noon', day, 0, 0));
+}
+
+function testLocation() {
+    function platform(prefs) {
+        return { getSharedPreferences() { return { get(name) { return prefs[name]; } }; } };
+    }
+
+    var configured = { latitude: 45.07, longitude: 7.69 };
+    var fix = { latitude: 37.77, longitude: -122.42 };
+    // the configured location wins over the last GPS fix
+    assert.deepEqual(Solar.getLocation(platform({ 'location': configured, 'gps-last-fix': fix })), configured);
+    assert.deepEqual(Solar.getLocation(platform({ 'gps-last-fix': fix })), fix);
+    assert.strictEqual(Solar.getLocation(platform({ 'location': { latitude: 'here' } })), null);
+    assert.strictEqual(Solar.getLocation(platform({})), null);
+}
+
+function main() {
+    testCronParsing();
+    testCronNext();
+    testCronDayOrSemantics();
+    testDaylightSaving();
+    testSolar();
+    testLocation();
+    console.log('Done');
+}
+
+main();
@@ -0,0 +1,163 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of ThingEngine
+//
+// Copyright 2016 Giovanni Campagna <gcampagn@cs.stanford.edu>
+//
+// See COPYING for details
+"use strict";
+
+const Q = require('q');
+const assert = require('assert');
+const events = require('events');
+
+const ChannelStateDatabase = require('../lib/db/channel');
+const TriggerRunner = require('../lib/apps/trigger_runner');
+
+// keep the channel state in memory, serialized as it would be on disk
+var stored = {};
+ChannelStateDatabase.prototype.getOne = function(uniqueId) {
+    return Q(stored[uniqueId] !== undefined ? JSON.parse(stored[uniqueId]) : null);
+};
+ChannelStateDatabase.prototype.insertOne = function(uniqueId, value) {
+    stored[uniqueId] = JSON.stringify(value);
+    return Q();
+};
+
+class FakeChannel extends events.EventEmitter {
+    constructor() {
+        super();
+        this.uniqueId = 'test-channel';
+        this.event = null;
+    }
+
+    emitEvent(event) {
+        this.event = event;
+        this.emit('data', event);
+    }
+}
+
+class FakeSelector extends events.EventEmitter {
+    constructor(channel) {
+        super();
+        this._channel = channel;
+    }
+
+    values() {
+        return [this._channel];
+    }
+
+    start() {
+        this.emit('object-added', this._channel);
+        return Q();
+    }
+
+    stop() {
+        this.emit('object-removed', this._channel);
+        return Q();
+    }
+}
+
+class FakeKeyword {
+    constructor() {
+        this.value = null;
+    }
+
+    changeValue(value) {
+        this.value = value;
+    }
+
+    close() {
+        return Q();
+    }
+}
+
+function makeRunner(keyword, channel, errors) {
+    var engine = {
+        platform: {
+            locale: 'en-US',
+            timezone: 'UTC',
+            getSqliteDB() { return ':memory:'; },
+            getSqliteKey() { return null; }
+        },
+        keywords: {
+            getOpenedKeyword(scope, name) {
+                if (keyword === null)
+                    return Q.reject(new Error('Cannot open ' + name));
+                return Q(keyword);
+            }
+        }
+    };
+    var app = {
+        uniqueId: 'app-window-test',
+        state: { $window: { keyword: 'stats', size: 3600 } },
+        compiler: { params: {} },
+        reportError(error) { errors.push(error); }
+    };
+    var input = {
+        invocation: null,
+        keywords: [],
+        caller(env, callback) { callback(); }
+    };
+
+    var runner = new TriggerRunner(engine, app, input, 0);
+    runner._selector = new FakeSelector(channel);
+    return runner;
+}
+
+function testAggregates() {
+    var keyword = new FakeKeyword();
+    var channel = new FakeChannel();
+    var errors = [];
+    var runner = makeRunner(keyword, channel, errors);
+
+    return runner.start().then(() => {
+        channel.emitEvent([2]);
+        channel.emitEvent([4]);
+        // [count, sum, average, minimum, maximum]
+        assert.deepEqual(keyword.value, [2, 6, 3, 2, 4]);
+
+        // events without a number only count
+        channel.emitEvent(['foo']);
+        assert.deepEqual(keyword.value, [3, 6, 3, 2, 4]);
+
+        return runner.stop();
+    }).then(() => {
+        // the window survives a restart, and the last event of the channel,
+        // which we see again when starting, is not counted twice
+        return runner.start();
+    }).then(() => {
+        assert.deepEqual(keyword.value, [3, 6, 3, 2, 4]);
+        channel.emitEvent([9]);
+        assert.deepEqual(keyword.value, [4, 15, 5, 2, 9]);
+
+        return runner.stop();
+    }).then(() => {
+        assert.deepEqual(errors, []);
+    });
+}
+
+function testKeywordFailure() {
+    var channel = new FakeChannel();
+    channel.event = [1];
+    var errors = [];
+    var runner = makeRunner(null, channel, errors);
+
+    // the error is reported, and events are handled without a window
+    return runner.start().then(() => {
+        assert.equal(errors.length, 1);
+        // the channel never opened, so feed it an event by hand
+        channel.event = [2];
+        runner._onTriggerData(channel, true);
+        return runner.stop();
+    });
+}
+
+function main() {
+    testAggregates()
+        .then(testKeywordFailure)
+        .then(() => console.log('Done'))
+        .done();
+}
+
+main();